@@ -305,6 +305,7 @@ public class BranchesController : ControllerBase
             {
                 Sha = c.Sha,
                 Author = c.Author,
+                AuthorEmail = c.AuthorEmail,
                 Timestamp = c.Timestamp,
                 ShortMessage = c.ShortMessage,
                 Branches = c.Branches,
@@ -1,4 +1,5 @@
 using Lanius.Api.DTOs;
+using Lanius.Business.Models;
 using Lanius.Business.Services;
 using Microsoft.AspNetCore.Mvc;
 
@@ -20,26 +21,44 @@ public class CommitsController : ControllerBase
     }
 
     /// <summary>
-    /// Get all commits from a repository.
+    /// Get commits from a repository, newest first.
     /// </summary>
     /// <param name="repositoryId">Repository ID.</param>
-    /// <param name="branch">Optional branch filter.</param>
+    /// <param name="branch">Optional branches (repeatable); commits reachable from any of them. Defaults to HEAD.</param>
+    /// <param name="exclude">Optional commit SHAs (repeatable) whose history is left out.</param>
+    /// <param name="since">Optional earliest author date; older commits are left out.</param>
+    /// <param name="take">Optional maximum number of commits (the newest ones).</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>List of commits.</returns>
     [HttpGet]
     [ProducesResponseType(typeof(IEnumerable<CommitResponse>), StatusCodes.Status200OK)]
+    [ProducesResponseType(typeof(ErrorResponse), StatusCodes.Status400BadRequest)]
     [ProducesResponseType(typeof(ErrorResponse), StatusCodes.Status404NotFound)]
     public async Task<ActionResult<IEnumerable<CommitResponse>>> GetCommits(
         string repositoryId,
-        [FromQuery] string? branch = null,
+        [FromQuery] string[]? branch = null,
+        [FromQuery] string[]? exclude = null,
+        [FromQuery] DateTimeOffset? since = null,
+        [FromQuery] int? take = null,
         CancellationToken cancellationToken = default)
     {
+        if (take <= 0)
+        {
+            return BadRequest(new ErrorResponse
+            {
+                Error = "InvalidTake",
+                Message = "take must be greater than 0",
+                Timestamp = DateTimeOffset.UtcNow
+            });
+        }
+
         try
         {
-            _logger.LogInformation("Getting commits for repository: {Id}, branch: {Branch}", 
-                repositoryId, branch ?? "all");
+            _logger.LogInformation("Getting commits for repository: {Id}, branches: {Branches}", 
+                repositoryId, branch is { Length: > 0 } ? string.Join(", ", branch) : "HEAD");
 
-            var commits = await _commitAnalyzer.GetCommitsAsync(repositoryId, branch, cancellationToken);
+            var query = new CommitQuery { Branches = branch, ExcludeReachableFrom = exclude, Since = since, Take = take };
+            var commits = await _commitAnalyzer.GetCommitsAsync(repositoryId, query, cancellationToken);
 
             var response = commits.Select(c => new CommitResponse
             {
@@ -65,6 +84,16 @@ public class CommitsController : ControllerBase
 
             return Ok(response);
         }
+        catch (BranchNotFoundException ex)
+        {
+            _logger.LogWarning(ex, "Branch not found: {Branch}", ex.BranchName);
+            return NotFound(new ErrorResponse
+            {
+                Error = "BranchNotFound",
+                Message = ex.Message,
+                Timestamp = DateTimeOffset.UtcNow
+            });
+        }
         catch (InvalidOperationException ex)
         {
             _logger.LogWarning(ex, "Repository not found: {Id}", repositoryId);
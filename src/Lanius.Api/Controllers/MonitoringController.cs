@@ -19,6 +19,17 @@ public class MonitoringController : ControllerBase
         _logger = logger;
     }
 
+    /// <summary>
+    /// Get the repositories being monitored.
+    /// </summary>
+    /// <returns>Monitored repository IDs.</returns>
+    [HttpGet]
+    [ProducesResponseType(typeof(IEnumerable<string>), StatusCodes.Status200OK)]
+    public ActionResult<IEnumerable<string>> GetMonitoredRepositories()
+    {
+        return Ok(_monitoringService.GetMonitoredRepositories());
+    }
+
     /// <summary>
     /// Start monitoring a repository for updates.
     /// </summary>
@@ -46,7 +46,8 @@ public class ReplayController : ControllerBase
                 Speed = request.Speed,
                 StartDate = request.StartDate,
                 EndDate = request.EndDate,
-                BranchFilter = request.BranchFilter
+                BranchFilter = request.BranchFilter,
+                Branches = request.Branches
             };
 
             var session = await _replayService.StartReplayAsync(repositoryId, options, cancellationToken);
@@ -60,7 +61,8 @@ public class ReplayController : ControllerBase
                 TotalCommits = session.TotalCommits,
                 CurrentIndex = session.CurrentIndex,
                 StartedAt = session.StartedAt,
-                CompletedAt = session.CompletedAt
+                CompletedAt = session.CompletedAt,
+                Error = session.Error
             });
         }
         catch (InvalidOperationException ex)
@@ -190,6 +192,113 @@ public class ReplayController : ControllerBase
         return Ok(new { message = "Speed updated", sessionId, speed });
     }
 
+    /// <summary>
+    /// Seek to a commit index. Playback continues from that commit.
+    /// </summary>
+    /// <param name="repositoryId">Repository ID.</param>
+    /// <param name="sessionId">Session ID.</param>
+    /// <param name="index">Zero-based index of the next commit to play (0 to TotalCommits).</param>
+    /// <returns>Updated session information.</returns>
+    [HttpPost("{sessionId}/seek")]
+    [ProducesResponseType(typeof(ReplaySessionResponse), StatusCodes.Status200OK)]
+    [ProducesResponseType(typeof(ErrorResponse), StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(typeof(ErrorResponse), StatusCodes.Status404NotFound)]
+    public ActionResult<ReplaySessionResponse> SeekReplay(string repositoryId, string sessionId, [FromBody] int index)
+    {
+        var session = _replayService.GetSession(sessionId);
+        if (session == null)
+        {
+            return NotFound(new ErrorResponse
+            {
+                Error = "SessionNotFound",
+                Message = $"Replay session '{sessionId}' not found",
+                Timestamp = DateTimeOffset.UtcNow
+            });
+        }
+
+        _logger.LogInformation("Seeking replay session {SessionId} to index {Index}", sessionId, index);
+
+        if (!_replayService.SeekReplay(sessionId, index))
+        {
+            return BadRequest(new ErrorResponse
+            {
+                Error = "InvalidSeek",
+                Message = $"Cannot seek to {index}: session must be playing or paused and index between 0 and {session.TotalCommits}",
+                Timestamp = DateTimeOffset.UtcNow
+            });
+        }
+
+        session = _replayService.GetSession(sessionId)!;
+
+        return Ok(new ReplaySessionResponse
+        {
+            SessionId = session.SessionId,
+            RepositoryId = session.RepositoryId,
+            State = session.State.ToString(),
+            Speed = session.Options.Speed,
+            TotalCommits = session.TotalCommits,
+            CurrentIndex = session.CurrentIndex,
+            StartedAt = session.StartedAt,
+            CompletedAt = session.CompletedAt,
+            Error = session.Error
+        });
+    }
+
+    /// <summary>
+    /// Get a range of the commits a session replays, in playback order.
+    /// Used by clients to rebuild the graph after seeking.
+    /// </summary>
+    /// <param name="repositoryId">Repository ID.</param>
+    /// <param name="sessionId">Session ID.</param>
+    /// <param name="skip">Number of commits to skip.</param>
+    /// <param name="take">Maximum number of commits to return.</param>
+    /// <returns>Commits in playback order.</returns>
+    [HttpGet("{sessionId}/commits")]
+    [ProducesResponseType(typeof(IEnumerable<CommitResponse>), StatusCodes.Status200OK)]
+    [ProducesResponseType(typeof(ErrorResponse), StatusCodes.Status404NotFound)]
+    public ActionResult<IEnumerable<CommitResponse>> GetSessionCommits(
+        string repositoryId,
+        string sessionId,
+        [FromQuery] int skip = 0,
+        [FromQuery] int take = 1000)
+    {
+        var commits = _replayService.GetSessionCommits(sessionId, skip, take);
+
+        if (commits == null)
+        {
+            return NotFound(new ErrorResponse
+            {
+                Error = "SessionNotFound",
+                Message = $"Replay session '{sessionId}' not found",
+                Timestamp = DateTimeOffset.UtcNow
+            });
+        }
+
+        var response = commits.Select(c => new CommitResponse
+        {
+            Sha = c.Sha,
+            Author = c.Author,
+            AuthorEmail = c.AuthorEmail,
+            Timestamp = c.Timestamp,
+            Message = c.Message,
+            ShortMessage = c.ShortMessage,
+            ParentShas = c.ParentShas.ToList(),
+            IsMerge = c.IsMerge,
+            Stats = c.Stats != null ? new DiffStatsResponse
+            {
+                LinesAdded = c.Stats.LinesAdded,
+                LinesRemoved = c.Stats.LinesRemoved,
+                TotalChanges = c.Stats.TotalChanges,
+                NetChange = c.Stats.NetChange,
+                FilesChanged = c.Stats.FilesChanged,
+                ColorIndicator = c.Stats.ColorIndicator
+            } : null,
+            Branches = c.Branches.ToList()
+        });
+
+        return Ok(response);
+    }
+
     /// <summary>
     /// Get replay session status.
     /// </summary>
@@ -222,7 +331,8 @@ public class ReplayController : ControllerBase
             TotalCommits = session.TotalCommits,
             CurrentIndex = session.CurrentIndex,
             StartedAt = session.StartedAt,
-            CompletedAt = session.CompletedAt
+            CompletedAt = session.CompletedAt,
+            Error = session.Error
         });
     }
 }
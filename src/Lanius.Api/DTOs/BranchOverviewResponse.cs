@@ -38,6 +38,7 @@ public class SignificantCommit
 {
     public required string Sha { get; init; }
     public required string Author { get; init; }
+    public required string AuthorEmail { get; init; }
     public required DateTimeOffset Timestamp { get; init; }
     public required string ShortMessage { get; init; }
     public required List<string> Branches { get; init; }
@@ -25,6 +25,11 @@ public class StartReplayRequest
     /// Optional branch filter.
     /// </summary>
     public string? BranchFilter { get; init; }
+
+    /// <summary>
+    /// Optional set of exact branch names; commits on any of them are replayed.
+    /// </summary>
+    public List<string>? Branches { get; init; }
 }
 
 /// <summary>
@@ -40,4 +45,5 @@ public class ReplaySessionResponse
     public int CurrentIndex { get; init; }
     public DateTimeOffset? StartedAt { get; init; }
     public DateTimeOffset? CompletedAt { get; init; }
+    public string? Error { get; init; }
 }
@@ -86,7 +86,7 @@ public class RepositoryHub : Hub
     /// </summary>
     public async Task BroadcastNewCommits(string repositoryId, IEnumerable<CommitResponse> commits)
     {
-        await Clients.Group($"repo:{repositoryId}").SendAsync("ReceiveNewCommits", commits);
+        await Clients.Group($"repo:{repositoryId}").SendAsync("ReceiveNewCommits", commits, repositoryId);
     }
 
     /// <summary>
@@ -102,6 +102,6 @@ public class RepositoryHub : Hub
     /// </summary>
     public async Task BroadcastError(string repositoryId, string message)
     {
-        await Clients.Group($"repo:{repositoryId}").SendAsync("Error", new { message, timestamp = DateTimeOffset.UtcNow });
+        await Clients.Group($"repo:{repositoryId}").SendAsync("Error", new { repositoryId, message, timestamp = DateTimeOffset.UtcNow });
     }
 }
@@ -61,6 +61,17 @@ public class RepositoryMonitoringService : BackgroundService
         }
     }
 
+    /// <summary>
+    /// Get the IDs of the monitored repositories.
+    /// </summary>
+    public IReadOnlyList<string> GetMonitoredRepositories()
+    {
+        lock (_lock)
+        {
+            return _monitoredRepositories.ToList();
+        }
+    }
+
     protected override async Task ExecuteAsync(CancellationToken stoppingToken)
     {
         if (!_options.Enabled)
@@ -199,9 +210,10 @@ public class RepositoryMonitoringService : BackgroundService
             _logger.LogInformation("Broadcasting {Count} new commits for repository {RepositoryId}", 
                 newCommits.Count, repositoryId);
 
-            // Broadcast to all connected clients subscribed to this repository
+            // Broadcast to all connected clients subscribed to this repository.
+            // The ID lets a client subscribed to several repositories tell them apart.
             await _hubContext.Clients.Group($"repo:{repositoryId}")
-                .SendAsync("ReceiveNewCommits", newCommits, cancellationToken);
+                .SendAsync("ReceiveNewCommits", newCommits, repositoryId, cancellationToken);
 
             // Also broadcast repository update
             var repoInfo = await repositoryService.GetRepositoryInfoAsync(repositoryId);
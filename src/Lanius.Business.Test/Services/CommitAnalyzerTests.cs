@@ -1,6 +1,7 @@
 using Lanius.Business.Services;
 using LibGit2Sharp;
 using Moq;
+using CommitQuery = Lanius.Business.Models.CommitQuery;
 using DomainCommit = Lanius.Business.Models.Commit;
 using DomainDiffStats = Lanius.Business.Models.DiffStats;
 using DomainRepositoryInfo = Lanius.Business.Models.RepositoryInfo;
@@ -97,6 +98,97 @@ public class CommitAnalyzerTests
         Assert.IsNotNull(commits[0].Message);
     }
 
+    [TestMethod]
+    public async Task GetCommitsAsync_Branches_IncludesCommitsNotReachableFromHead()
+    {
+        // Arrange
+        var tempPath = CreateTemporaryRepository();
+        SetupMockRepository(tempPath);
+        var featureSha = CommitOnNewBranch(tempPath, "feature/unmerged");
+
+        // Act
+        IReadOnlyList<DomainCommit> headCommits = await _analyzer.GetCommitsAsync(_testRepoId);
+        IReadOnlyList<DomainCommit> branchCommits = await _analyzer.GetCommitsAsync(
+            _testRepoId, new CommitQuery { Branches = ["main", "feature/unmerged"] });
+
+        // Assert
+        Assert.IsFalse(headCommits.Any(c => c.Sha == featureSha));
+        Assert.IsTrue(branchCommits.Any(c => c.Sha == featureSha));
+        Assert.AreEqual(branchCommits.Count, branchCommits.Select(c => c.Sha).Distinct().Count(),
+            "Shared history should be listed once");
+    }
+
+    [TestMethod]
+    public async Task GetCommitsAsync_ExcludeReachableFrom_ReturnsOnlyNewerCommits()
+    {
+        // Arrange
+        var tempPath = CreateTemporaryRepository();
+        SetupMockRepository(tempPath);
+        IReadOnlyList<DomainCommit> before = await _analyzer.GetCommitsAsync(_testRepoId);
+        var featureSha = CommitOnNewBranch(tempPath, "feature/new");
+
+        // Act
+        IReadOnlyList<DomainCommit> missed = await _analyzer.GetCommitsAsync(_testRepoId, new CommitQuery
+        {
+            Branches = ["feature/new"],
+            ExcludeReachableFrom = [before[0].Sha, "0000000000000000000000000000000000000000"]
+        });
+
+        // Assert
+        Assert.HasCount(1, missed);
+        Assert.AreEqual(featureSha, missed[0].Sha);
+    }
+
+    [TestMethod]
+    public async Task GetCommitsAsync_Take_ReturnsNewestCommits()
+    {
+        // Arrange
+        var tempPath = CreateTemporaryRepository();
+        SetupMockRepository(tempPath);
+        var featureSha = CommitOnNewBranch(tempPath, "feature/new");
+
+        // Act
+        IReadOnlyList<DomainCommit> commits = await _analyzer.GetCommitsAsync(
+            _testRepoId, new CommitQuery { Branches = ["feature/new"], Take = 1 });
+
+        // Assert
+        Assert.HasCount(1, commits);
+        Assert.AreEqual(featureSha, commits[0].Sha);
+    }
+
+    [TestMethod]
+    public async Task GetCommitsAsync_Since_LeavesOutOlderCommits()
+    {
+        // Arrange
+        var tempPath = CreateTemporaryRepository();
+        SetupMockRepository(tempPath);
+        var since = DateTimeOffset.Now.AddDays(1);
+        var featureSha = CommitOnNewBranch(tempPath, "feature/new", since.AddHours(1));
+
+        // Act
+        IReadOnlyList<DomainCommit> commits = await _analyzer.GetCommitsAsync(
+            _testRepoId, new CommitQuery { Branches = ["feature/new"], Since = since });
+
+        // Assert
+        Assert.HasCount(1, commits);
+        Assert.AreEqual(featureSha, commits[0].Sha);
+    }
+
+    [TestMethod]
+    public async Task GetCommitsAsync_UnknownBranch_ThrowsException()
+    {
+        // Arrange
+        var tempPath = CreateTemporaryRepository();
+        SetupMockRepository(tempPath);
+
+        // Act & Assert
+        var exception = await Assert.ThrowsExactlyAsync<BranchNotFoundException>(
+            () => _analyzer.GetCommitsAsync(_testRepoId, new CommitQuery { Branches = ["missing"] }));
+
+        Assert.AreEqual("missing", exception.BranchName);
+        Assert.Contains("Branch not found", exception.Message);
+    }
+
     [TestMethod]
     public async Task GetCommitsChronologicallyAsync_ValidRepository_ReturnsOrderedCommits()
     {
@@ -192,6 +284,22 @@ public class CommitAnalyzerTests
         return tempPath;
     }
 
+    // Commit on a new branch and switch back, so HEAD doesn't reach the commit
+    private static string CommitOnNewBranch(string localPath, string branchName, DateTimeOffset? when = null)
+    {
+        using var repo = new Repository(localPath);
+        var previous = repo.Head;
+        var signature = new Signature("Test User", "test@example.com", when ?? DateTimeOffset.Now);
+
+        Commands.Checkout(repo, repo.CreateBranch(branchName));
+        File.WriteAllText(Path.Combine(localPath, "feature.txt"), "Feature work");
+        Commands.Stage(repo, "feature.txt");
+        var commit = repo.Commit("Feature commit", signature, signature, new CommitOptions());
+        Commands.Checkout(repo, previous);
+
+        return commit.Sha;
+    }
+
     private void SetupMockRepository(string localPath)
     {
         _mockRepoService.Setup(x => x.RepositoryExists(_testRepoId)).Returns(true);
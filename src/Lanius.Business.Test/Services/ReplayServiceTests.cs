@@ -0,0 +1,260 @@
+using Lanius.Business.Models;
+using Lanius.Business.Services;
+using Microsoft.Extensions.DependencyInjection;
+using Moq;
+
+namespace Lanius.Business.Test.Services;
+
+[TestClass]
+public class ReplayServiceTests
+{
+    private Mock<ICommitAnalyzer> _mockCommitAnalyzer = null!;
+    private ReplayService _service = null!;
+    private string _testRepoId = null!;
+    private readonly List<string> _sessionIds = new();
+
+    [TestInitialize]
+    public void Setup()
+    {
+        _testRepoId = "test-repo";
+        _mockCommitAnalyzer = new Mock<ICommitAnalyzer>();
+
+        // ReplayService resolves ICommitAnalyzer from a scope
+        var mockProvider = new Mock<IServiceProvider>();
+        var mockScope = new Mock<IServiceScope>();
+        var mockScopeFactory = new Mock<IServiceScopeFactory>();
+
+        mockScope.Setup(x => x.ServiceProvider).Returns(mockProvider.Object);
+        mockScopeFactory.Setup(x => x.CreateScope()).Returns(mockScope.Object);
+        mockProvider.Setup(x => x.GetService(typeof(IServiceScopeFactory))).Returns(mockScopeFactory.Object);
+        mockProvider.Setup(x => x.GetService(typeof(ICommitAnalyzer))).Returns(_mockCommitAnalyzer.Object);
+
+        _service = new ReplayService(mockProvider.Object);
+    }
+
+    [TestCleanup]
+    public void Cleanup()
+    {
+        foreach (var sessionId in _sessionIds)
+        {
+            _service.StopReplay(sessionId);
+        }
+        _sessionIds.Clear();
+    }
+
+    [TestMethod]
+    public void SeekReplay_UnknownSession_ReturnsFalse()
+    {
+        // Act
+        var result = _service.SeekReplay("missing-session", 0);
+
+        // Assert
+        Assert.IsFalse(result);
+    }
+
+    [TestMethod]
+    public async Task SeekReplay_IndexOutOfRange_ReturnsFalse()
+    {
+        // Arrange
+        var session = await StartPausedSessionAsync(commitCount: 5);
+
+        // Act
+        var negative = _service.SeekReplay(session.SessionId, -1);
+        var pastEnd = _service.SeekReplay(session.SessionId, 6);
+
+        // Assert
+        Assert.IsFalse(negative);
+        Assert.IsFalse(pastEnd);
+    }
+
+    [TestMethod]
+    public async Task SeekReplay_PausedSession_UpdatesCurrentIndex()
+    {
+        // Arrange
+        var session = await StartPausedSessionAsync(commitCount: 5);
+
+        // Act
+        var result = _service.SeekReplay(session.SessionId, 3);
+
+        // Assert
+        Assert.IsTrue(result);
+        Assert.AreEqual(3, _service.GetSession(session.SessionId)!.CurrentIndex);
+    }
+
+    [TestMethod]
+    public async Task SeekReplay_StoppedSession_ReturnsFalse()
+    {
+        // Arrange
+        var session = await StartPausedSessionAsync(commitCount: 5);
+        _service.StopReplay(session.SessionId);
+
+        // Act
+        var result = _service.SeekReplay(session.SessionId, 2);
+
+        // Assert
+        Assert.IsFalse(result);
+    }
+
+    [TestMethod]
+    public async Task GetSessionCommits_ReturnsRequestedRangeInOrder()
+    {
+        // Arrange
+        var session = await StartPausedSessionAsync(commitCount: 5);
+
+        // Act
+        var commits = _service.GetSessionCommits(session.SessionId, skip: 1, take: 2);
+
+        // Assert
+        Assert.IsNotNull(commits);
+        Assert.AreEqual(2, commits.Count);
+        Assert.AreEqual("sha-1", commits[0].Sha);
+        Assert.AreEqual("sha-2", commits[1].Sha);
+    }
+
+    [TestMethod]
+    public void GetSessionCommits_UnknownSession_ReturnsNull()
+    {
+        // Act
+        var commits = _service.GetSessionCommits("missing-session", 0, 10);
+
+        // Assert
+        Assert.IsNull(commits);
+    }
+
+    [TestMethod]
+    public async Task StartReplayAsync_WithBranches_IncludesCommitsOnAnyBranch()
+    {
+        // Arrange
+        var commits = new List<Commit>
+        {
+            CreateCommit("sha-0", "main"),
+            CreateCommit("sha-1", "feature/a"),
+            CreateCommit("sha-2", "dependabot/npm/x"),
+            CreateCommit("sha-3", "main", "feature/a")
+        };
+
+        _mockCommitAnalyzer
+            .Setup(x => x.GetCommitsChronologicallyAsync(_testRepoId, null, null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(commits);
+
+        // Act
+        var session = await _service.StartReplayAsync(_testRepoId, new ReplayOptions
+        {
+            Speed = 0.1,
+            Branches = new[] { "MAIN", "feature/a" }
+        });
+        _sessionIds.Add(session.SessionId);
+        _service.PauseReplay(session.SessionId);
+
+        // Assert
+        var replayed = _service.GetSessionCommits(session.SessionId, 0, 10);
+        Assert.AreEqual(3, session.TotalCommits);
+        Assert.IsNotNull(replayed);
+        CollectionAssert.AreEqual(new[] { "sha-0", "sha-1", "sha-3" }, replayed.Select(c => c.Sha).ToArray());
+    }
+
+    [TestMethod]
+    public async Task StartReplayAsync_WithEmptyBranches_ReplaysNothing()
+    {
+        // Arrange
+        _mockCommitAnalyzer
+            .Setup(x => x.GetCommitsChronologicallyAsync(_testRepoId, null, null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<Commit> { CreateCommit("sha-0", "main") });
+
+        // Act
+        var session = await _service.StartReplayAsync(_testRepoId, new ReplayOptions
+        {
+            Speed = 0.1,
+            Branches = Array.Empty<string>()
+        });
+        _sessionIds.Add(session.SessionId);
+
+        // Assert
+        Assert.AreEqual(0, session.TotalCommits);
+    }
+
+    [TestMethod]
+    public async Task StartReplayAsync_PlaybackThrows_SessionFailsWithError()
+    {
+        // Arrange
+        var commits = new Mock<IReadOnlyList<Commit>>();
+        commits.Setup(x => x.Count).Returns(1);
+        commits.Setup(x => x[0]).Throws(new InvalidOperationException("Commit unreadable"));
+
+        _mockCommitAnalyzer
+            .Setup(x => x.GetCommitsChronologicallyAsync(_testRepoId, null, null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(commits.Object);
+
+        // Act
+        var session = await _service.StartReplayAsync(_testRepoId, new ReplayOptions { Speed = 10 });
+        _sessionIds.Add(session.SessionId);
+        var failed = await WaitForSessionAsync(session.SessionId, s => s.State != ReplayState.Playing);
+
+        // Assert
+        Assert.AreEqual(ReplayState.Failed, failed.State);
+        Assert.AreEqual("Commit unreadable", failed.Error);
+        Assert.IsNotNull(failed.CompletedAt);
+    }
+
+    private static Commit CreateCommit(string sha, params string[] branches)
+    {
+        return new Commit
+        {
+            Sha = sha,
+            Author = "Test User",
+            AuthorEmail = "test@example.com",
+            Timestamp = DateTimeOffset.UtcNow,
+            Message = $"Commit {sha}",
+            ParentShas = Array.Empty<string>(),
+            Branches = branches
+        };
+    }
+
+    private async Task<ReplaySession> StartPausedSessionAsync(int commitCount)
+    {
+        var commits = Enumerable.Range(0, commitCount)
+            .Select(i => new Commit
+            {
+                Sha = $"sha-{i}",
+                Author = "Test User",
+                AuthorEmail = "test@example.com",
+                Timestamp = DateTimeOffset.UtcNow.AddDays(i - commitCount),
+                Message = $"Commit {i}",
+                ParentShas = Array.Empty<string>()
+            })
+            .ToList();
+
+        _mockCommitAnalyzer
+            .Setup(x => x.GetCommitsChronologicallyAsync(_testRepoId, null, null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(commits);
+
+        // Once PauseReplay returns the playback loop claims no further commits,
+        // so the session index only changes through the calls under test
+        var session = await _service.StartReplayAsync(_testRepoId, new ReplayOptions { Speed = 0.1 });
+        _sessionIds.Add(session.SessionId);
+        _service.PauseReplay(session.SessionId);
+
+        return session;
+    }
+
+    // Poll until the playback loop has moved the session on, failing after a bounded wait
+    private async Task<ReplaySession> WaitForSessionAsync(string sessionId, Func<ReplaySession, bool> condition)
+    {
+        var deadline = DateTimeOffset.UtcNow.AddSeconds(5);
+        while (true)
+        {
+            var session = _service.GetSession(sessionId)!;
+            if (condition(session))
+            {
+                return session;
+            }
+
+            if (DateTimeOffset.UtcNow > deadline)
+            {
+                Assert.Fail($"Session {sessionId} is still {session.State} after 5 seconds");
+            }
+
+            await Task.Delay(10);
+        }
+    }
+}
@@ -0,0 +1,29 @@
+namespace Lanius.Business.Models;
+
+/// <summary>
+/// Which commits to list from a repository.
+/// </summary>
+public record CommitQuery
+{
+    /// <summary>
+    /// Branches whose history is listed (commits reachable from any of their tips).
+    /// Null or empty lists the history of HEAD.
+    /// </summary>
+    public IReadOnlyList<string>? Branches { get; init; }
+
+    /// <summary>
+    /// Commit SHAs whose history is left out, e.g. the branch tips a client already has.
+    /// Unknown SHAs are ignored.
+    /// </summary>
+    public IReadOnlyList<string>? ExcludeReachableFrom { get; init; }
+
+    /// <summary>
+    /// Earliest author date listed; older commits are left out.
+    /// </summary>
+    public DateTimeOffset? Since { get; init; }
+
+    /// <summary>
+    /// Maximum number of commits (the newest ones).
+    /// </summary>
+    public int? Take { get; init; }
+}
@@ -24,6 +24,11 @@ public record ReplayOptions
     /// Branch filter for replay.
     /// </summary>
     public string? BranchFilter { get; init; }
+
+    /// <summary>
+    /// Exact branch names to replay (commits on any of them are included).
+    /// </summary>
+    public IReadOnlyList<string>? Branches { get; init; }
 }
 
 /// <summary>
@@ -35,7 +40,8 @@ public enum ReplayState
     Playing,
     Paused,
     Completed,
-    Cancelled
+    Cancelled,
+    Failed
 }
 
 /// <summary>
@@ -51,4 +57,9 @@ public record ReplaySession
     public int CurrentIndex { get; init; }
     public DateTimeOffset? StartedAt { get; init; }
     public DateTimeOffset? CompletedAt { get; init; }
+
+    /// <summary>
+    /// Why the replay failed (set with <see cref="ReplayState.Failed"/>).
+    /// </summary>
+    public string? Error { get; init; }
 }
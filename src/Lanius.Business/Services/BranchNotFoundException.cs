@@ -0,0 +1,19 @@
+namespace Lanius.Business.Services;
+
+/// <summary>
+/// A requested branch does not exist in the repository.
+/// Derives from <see cref="InvalidOperationException"/> so existing handlers still catch it.
+/// </summary>
+public class BranchNotFoundException : InvalidOperationException
+{
+    public BranchNotFoundException(string branchName)
+        : base($"Branch not found: {branchName}")
+    {
+        BranchName = branchName;
+    }
+
+    /// <summary>
+    /// Name of the missing branch.
+    /// </summary>
+    public string BranchName { get; }
+}
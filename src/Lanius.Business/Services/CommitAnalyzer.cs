@@ -19,16 +19,14 @@ public class CommitAnalyzer : ICommitAnalyzer
 
     public async Task<IReadOnlyList<DomainCommit>> GetCommitsAsync(
         string repositoryId,
-        string? branchName = null,
+        CommitQuery? query = null,
         CancellationToken cancellationToken = default)
     {
         return await Task.Run(() =>
         {
             using var repo = OpenRepository(repositoryId);
 
-            var commits = branchName != null
-                ? GetCommitsForBranch(repo, branchName)
-                : repo.Commits.ToList();
+            var commits = QueryCommits(repo, query ?? new CommitQuery());
 
             return commits.Select(c => MapCommit(c, repo)).ToList() as IReadOnlyList<DomainCommit>;
         }, cancellationToken);
@@ -148,12 +146,49 @@ public class CommitAnalyzer : ICommitAnalyzer
         };
     }
 
-    private static List<GitCommit> GetCommitsForBranch(Repository repo, string branchName)
+    // One walk from all the tips, so history shared by several branches is listed once.
+    // The walk is cheap; mapping (diff stats, branch membership) is not, so Since and Take apply before it.
+    private static List<GitCommit> QueryCommits(Repository repo, CommitQuery query)
     {
-        var branch = repo.Branches[branchName] 
-            ?? throw new InvalidOperationException($"Branch not found: {branchName}");
+        var tips = query.Branches is { Count: > 0 } branchNames
+            ? branchNames
+                .Select(name => repo.Branches[name]
+                    ?? throw new BranchNotFoundException(name))
+                .Select(branch => branch.Tip)
+                .ToList()
+            : [repo.Head.Tip];
+
+        // An empty repository has no HEAD commit
+        tips.RemoveAll(tip => tip == null);
+        if (tips.Count == 0)
+        {
+            return [];
+        }
+
+        var excluded = (query.ExcludeReachableFrom ?? [])
+            .Select(sha => repo.Lookup<GitCommit>(sha))
+            .Where(commit => commit != null)
+            .ToList();
+
+        IEnumerable<GitCommit> commits = repo.Commits.QueryBy(new CommitFilter
+        {
+            IncludeReachableFrom = tips,
+            ExcludeReachableFrom = excluded,
+            SortBy = CommitSortStrategies.Topological | CommitSortStrategies.Time
+        });
+
+        // Filtered rather than cut off at the first older commit: topological order isn't strictly by date
+        if (query.Since is DateTimeOffset since)
+        {
+            commits = commits.Where(c => c.Author.When >= since);
+        }
+
+        if (query.Take is int take)
+        {
+            commits = commits.Take(take);
+        }
 
-        return branch.Commits.ToList();
+        return commits.ToList();
     }
 
     private static List<string> GetBranchesForCommit(Repository repo, GitCommit commit)
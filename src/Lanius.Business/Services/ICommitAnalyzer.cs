@@ -8,15 +8,15 @@ namespace Lanius.Business.Services;
 public interface ICommitAnalyzer
 {
     /// <summary>
-    /// Get all commits from a repository.
+    /// Get commits from a repository, newest first.
     /// </summary>
     /// <param name="repositoryId">The repository ID.</param>
-    /// <param name="branchName">Optional branch filter.</param>
+    /// <param name="query">Optional branches, exclusions and limit; null lists the whole history of HEAD.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>List of commits.</returns>
     Task<IReadOnlyList<Commit>> GetCommitsAsync(
         string repositoryId,
-        string? branchName = null,
+        CommitQuery? query = null,
         CancellationToken cancellationToken = default);
 
     /// <summary>
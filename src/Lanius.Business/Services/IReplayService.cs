@@ -41,6 +41,24 @@ public interface IReplayService
     /// <param name="speed">New speed multiplier.</param>
     void SetSpeed(string sessionId, double speed);
 
+    /// <summary>
+    /// Move playback of a running or paused session to a commit index.
+    /// The commit at <paramref name="index"/> is the next one emitted.
+    /// </summary>
+    /// <param name="sessionId">Session ID.</param>
+    /// <param name="index">Zero-based index into the session's commits (0..TotalCommits).</param>
+    /// <returns>True if the session exists, is still active and the index is in range.</returns>
+    bool SeekReplay(string sessionId, int index);
+
+    /// <summary>
+    /// Get a range of the commits a session replays, in playback order.
+    /// </summary>
+    /// <param name="sessionId">Session ID.</param>
+    /// <param name="skip">Number of commits to skip.</param>
+    /// <param name="take">Maximum number of commits to return.</param>
+    /// <returns>Commits in playback order, or null if the session was not found.</returns>
+    IReadOnlyList<Commit>? GetSessionCommits(string sessionId, int skip, int take);
+
     /// <summary>
     /// Get replay session information.
     /// </summary>
@@ -43,6 +43,15 @@ public class ReplayService : IReplayService
                 .ToList();
         }
 
+        // Filter by branch set if specified
+        if (options.Branches != null)
+        {
+            var branchSet = new HashSet<string>(options.Branches, StringComparer.OrdinalIgnoreCase);
+            commits = commits
+                .Where(c => c.Branches.Any(branchSet.Contains))
+                .ToList();
+        }
+
         var sessionId = Guid.NewGuid().ToString("N");
         var session = new ReplaySession
         {
@@ -135,6 +144,48 @@ public class ReplayService : IReplayService
         }
     }
 
+    public bool SeekReplay(string sessionId, int index)
+    {
+        lock (_lock)
+        {
+            if (!_sessions.TryGetValue(sessionId, out var context))
+            {
+                return false;
+            }
+
+            var state = context.Session.State;
+            if (state != ReplayState.Playing && state != ReplayState.Paused)
+            {
+                return false;
+            }
+
+            if (index < 0 || index > context.Commits.Count)
+            {
+                return false;
+            }
+
+            context.CurrentIndex = index;
+            context.Session = context.Session with { CurrentIndex = index };
+            return true;
+        }
+    }
+
+    public IReadOnlyList<Commit>? GetSessionCommits(string sessionId, int skip, int take)
+    {
+        lock (_lock)
+        {
+            if (!_sessions.TryGetValue(sessionId, out var context))
+            {
+                return null;
+            }
+
+            return context.Commits
+                .Skip(Math.Max(skip, 0))
+                .Take(Math.Max(take, 0))
+                .ToList();
+        }
+    }
+
     public ReplaySession? GetSession(string sessionId)
     {
         lock (_lock)
@@ -173,20 +224,37 @@ public class ReplayService : IReplayService
                 cancellationToken,
                 context.CancellationTokenSource.Token).Token;
 
-            for (int i = 0; i < commits.Count; i++)
+            // The index lives on the context (not a loop variable) so SeekReplay can move it
+            while (!linkedToken.IsCancellationRequested)
             {
-                if (linkedToken.IsCancellationRequested)
-                {
-                    break;
-                }
-
                 // Wait while paused
                 while (context.PauseSubject.Value)
                 {
                     await Task.Delay(100, linkedToken);
                 }
 
-                var commit = commits[i];
+                Commit commit;
+                int index;
+
+                // Claim the next commit and advance the session state.
+                // Pause is checked again under the lock, so nothing is claimed once PauseReplay returns.
+                lock (_lock)
+                {
+                    if (context.PauseSubject.Value)
+                    {
+                        continue;
+                    }
+
+                    index = context.CurrentIndex;
+                    if (index >= commits.Count)
+                    {
+                        break;
+                    }
+
+                    commit = commits[index];
+                    context.CurrentIndex = index + 1;
+                    context.Session = context.Session with { CurrentIndex = index + 1 };
+                }
 
                 // Calculate delay based on speed
                 // Speed 1.0 = 1 commit per second
@@ -198,15 +266,8 @@ public class ReplayService : IReplayService
                 // Emit commit
                 context.Subject.OnNext(commit);
 
-                // Update session state
-                lock (_lock)
-                {
-                    context.CurrentIndex = i + 1;
-                    context.Session = context.Session with { CurrentIndex = i + 1 };
-                }
-
                 // Wait before next commit (except for last one)
-                if (i < commits.Count - 1)
+                if (index < commits.Count - 1)
                 {
                     await Task.Delay(delayMs, linkedToken);
                 }
@@ -231,16 +292,18 @@ public class ReplayService : IReplayService
         }
         catch (Exception ex)
         {
-            context.Subject.OnError(ex);
-            
+            // Set before the error is published, so a client asking after the ReplayError broadcast sees it
             lock (_lock)
             {
                 context.Session = context.Session with
                 {
-                    State = ReplayState.Cancelled,
-                    CompletedAt = DateTimeOffset.UtcNow
+                    State = ReplayState.Failed,
+                    CompletedAt = DateTimeOffset.UtcNow,
+                    Error = ex.Message
                 };
             }
+
+            context.Subject.OnError(ex);
         }
     }
 
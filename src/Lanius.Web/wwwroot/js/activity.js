@@ -0,0 +1,229 @@
+// Activity Chart - calendar heatmap, weekly bars and hour-of-day punch card of the loaded commits
+// Values are commits or changed lines (added + removed) per cell; darker means busier.
+
+const ActivityChart = (() => {
+    const config = {
+        cellSize: 11,
+        cellGap: 2,
+        margin: { top: 24, right: 16, bottom: 24, left: 36 },
+        barWidth: 8,
+        barHeight: 160
+    };
+
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const formatDay = d3.timeFormat('%a %b %d, %Y');
+    const formatMonth = d3.timeFormat('%b');
+
+    // commits: commit objects with timestamp (and stats for lines).
+    // options: { metric: 'commits' | 'lines', view: 'calendar' | 'week' | 'hour', onSelect(range, label) }.
+    // Returns { total, busiest: { label, value } } or null when there is nothing to draw.
+    function render(svgElement, commits, { metric = 'commits', view = 'calendar', onSelect } = {}) {
+        const svg = d3.select(svgElement);
+        svg.selectAll('*').remove();
+
+        if (commits.length === 0) {
+            svg.attr('width', 0).attr('height', 0);
+            return null;
+        }
+
+        const value = metric === 'lines' ? getChangedLines : () => 1;
+        const g = svg.append('g')
+            .attr('transform', `translate(${config.margin.left}, ${config.margin.top})`);
+
+        let size;
+        let busiest;
+        switch (view) {
+            case 'week':
+                ({ size, busiest } = renderWeeks(g, commits, value, onSelect));
+                break;
+            case 'hour':
+                ({ size, busiest } = renderHours(g, commits, value));
+                break;
+            default:
+                ({ size, busiest } = renderCalendar(g, commits, value, onSelect));
+        }
+
+        svg.attr('width', size.width + config.margin.left + config.margin.right)
+            .attr('height', size.height + config.margin.top + config.margin.bottom);
+
+        return { total: d3.sum(commits, value), busiest };
+    }
+
+    function getChangedLines(commit) {
+        if (!commit.stats) return 0;
+        return (commit.stats.linesAdded || 0) + (commit.stats.linesRemoved || 0) || commit.stats.totalChanges || 0;
+    }
+
+    // Empty cells and the busy-cell ramp come from the theme
+    function getColorScale(max) {
+        const { empty, from, to } = Theme.get().heatmap;
+        const scale = d3.scaleSequentialSqrt(d3.interpolateRgb(from, to)).domain([-max * 0.1, max]);
+        return v => v > 0 ? scale(v) : empty;
+    }
+
+    // One column per week, one row per weekday (Sunday on top)
+    function renderCalendar(g, commits, value, onSelect) {
+        const step = config.cellSize + config.cellGap;
+        const dates = commits.map(c => new Date(c.timestamp));
+        const start = d3.timeWeek.floor(d3.min(dates));
+        const end = d3.timeDay.offset(d3.timeDay.floor(d3.max(dates)), 1);
+        const days = d3.timeDays(start, end);
+        const totals = d3.rollup(commits, v => d3.sum(v, value), c => d3.timeDay.floor(new Date(c.timestamp)).getTime());
+        const color = getColorScale(d3.max(totals.values()));
+
+        g.selectAll('.activity-cell')
+            .data(days)
+            .enter()
+            .append('rect')
+            .attr('class', 'activity-cell')
+            .attr('x', day => d3.timeWeek.count(start, day) * step)
+            .attr('y', day => day.getDay() * step)
+            .attr('width', config.cellSize)
+            .attr('height', config.cellSize)
+            .attr('rx', 1)
+            .attr('fill', day => color(totals.get(day.getTime()) || 0))
+            .on('click', (event, day) => onSelect?.({ start: day, end: d3.timeDay.offset(day, 1) }, formatDay(day)))
+            .append('title')
+            .text(day => `${formatDay(day)}: ${totals.get(day.getTime()) || 0}`);
+
+        // Month labels above the first week that starts in the month
+        g.selectAll('.activity-label.month')
+            .data(d3.timeMonths(d3.timeMonth.ceil(start), end))
+            .enter()
+            .append('text')
+            .attr('class', 'activity-label month')
+            .attr('x', month => d3.timeWeek.count(start, month) * step)
+            .attr('y', -8)
+            .text(formatMonth);
+
+        appendDayLabels(g, step);
+
+        const weeks = d3.timeWeek.count(start, end) + 1;
+        const busiestDay = d3.greatest(totals, ([, total]) => total);
+        return {
+            size: { width: weeks * step, height: 7 * step },
+            busiest: busiestDay && { label: formatDay(new Date(busiestDay[0])), value: busiestDay[1] }
+        };
+    }
+
+    // One bar per week
+    function renderWeeks(g, commits, value, onSelect) {
+        const dates = commits.map(c => new Date(c.timestamp));
+        const weeks = d3.timeWeeks(d3.timeWeek.floor(d3.min(dates)), d3.timeDay.offset(d3.max(dates), 1));
+        const totals = d3.rollup(commits, v => d3.sum(v, value), c => d3.timeWeek.floor(new Date(c.timestamp)).getTime());
+        const max = d3.max(totals.values());
+        const color = getColorScale(max);
+        const step = config.barWidth + config.cellGap;
+        const y = d3.scaleLinear().domain([0, max || 1]).range([config.barHeight, 0]);
+
+        g.selectAll('.activity-bar')
+            .data(weeks)
+            .enter()
+            .append('rect')
+            .attr('class', 'activity-bar')
+            .attr('x', (week, i) => i * step)
+            .attr('y', week => y(totals.get(week.getTime()) || 0))
+            .attr('width', config.barWidth)
+            .attr('height', week => config.barHeight - y(totals.get(week.getTime()) || 0))
+            .attr('fill', week => color(totals.get(week.getTime()) || 0))
+            .on('click', (event, week) => onSelect?.({ start: week, end: d3.timeWeek.offset(week, 1) }, `week of ${formatDay(week)}`))
+            .append('title')
+            .text(week => `Week of ${formatDay(week)}: ${totals.get(week.getTime()) || 0}`);
+
+        // Hit area for empty weeks, so every week stays clickable
+        g.selectAll('.activity-bar-hit')
+            .data(weeks)
+            .enter()
+            .insert('rect', '.activity-bar')
+            .attr('class', 'activity-bar-hit')
+            .attr('x', (week, i) => i * step)
+            .attr('width', config.barWidth)
+            .attr('height', config.barHeight)
+            .attr('fill', 'transparent')
+            .on('click', (event, week) => onSelect?.({ start: week, end: d3.timeWeek.offset(week, 1) }, `week of ${formatDay(week)}`));
+
+        g.selectAll('.activity-label.month')
+            .data(weeks.filter((week, i) => i === 0 || week.getMonth() !== weeks[i - 1].getMonth()))
+            .enter()
+            .append('text')
+            .attr('class', 'activity-label month')
+            .attr('x', week => weeks.indexOf(week) * step)
+            .attr('y', config.barHeight + 14)
+            .text(formatMonth);
+
+        g.append('g')
+            .attr('class', 'activity-axis')
+            .call(d3.axisLeft(y).ticks(4).tickSize(3));
+
+        const busiestWeek = d3.greatest(totals, ([, total]) => total);
+        return {
+            size: { width: weeks.length * step, height: config.barHeight },
+            busiest: busiestWeek && { label: `week of ${formatDay(new Date(busiestWeek[0]))}`, value: busiestWeek[1] }
+        };
+    }
+
+    // Weekday x hour-of-day grid (local time)
+    function renderHours(g, commits, value) {
+        const step = config.cellSize + config.cellGap;
+        const totals = d3.rollup(commits, v => d3.sum(v, value), c => {
+            const date = new Date(c.timestamp);
+            return date.getDay() * 24 + date.getHours();
+        });
+        const color = getColorScale(d3.max(totals.values()));
+        const slots = d3.range(7 * 24);
+
+        g.selectAll('.activity-cell')
+            .data(slots)
+            .enter()
+            .append('rect')
+            .attr('class', 'activity-cell')
+            .attr('x', slot => (slot % 24) * step)
+            .attr('y', slot => Math.floor(slot / 24) * step)
+            .attr('width', config.cellSize)
+            .attr('height', config.cellSize)
+            .attr('rx', 1)
+            .attr('fill', slot => color(totals.get(slot) || 0))
+            .append('title')
+            .text(slot => `${dayNames[Math.floor(slot / 24)]} ${formatHour(slot % 24)}: ${totals.get(slot) || 0}`);
+
+        g.selectAll('.activity-label.hour')
+            .data([0, 6, 12, 18])
+            .enter()
+            .append('text')
+            .attr('class', 'activity-label hour')
+            .attr('x', hour => hour * step)
+            .attr('y', -8)
+            .text(formatHour);
+
+        appendDayLabels(g, step);
+
+        const busiestSlot = d3.greatest(totals, ([, total]) => total);
+        return {
+            size: { width: 24 * step, height: 7 * step },
+            busiest: busiestSlot && {
+                label: `${dayNames[Math.floor(busiestSlot[0] / 24)]} ${formatHour(busiestSlot[0] % 24)}`,
+                value: busiestSlot[1]
+            }
+        };
+    }
+
+    function appendDayLabels(g, step) {
+        g.selectAll('.activity-label.day')
+            .data([1, 3, 5])
+            .enter()
+            .append('text')
+            .attr('class', 'activity-label day')
+            .attr('x', -6)
+            .attr('y', day => day * step + config.cellSize - 2)
+            .attr('text-anchor', 'end')
+            .text(day => dayNames[day]);
+    }
+
+    function formatHour(hour) {
+        return `${String(hour).padStart(2, '0')}:00`;
+    }
+
+    return {
+        render
+    };
+})();
@@ -0,0 +1,24 @@
+// API Error - reads the API's ErrorResponse shape ({ error, message, detail }) into an Error
+// Shared by the graph and the dashboard.
+
+const ApiError = (() => {
+    // fallbackMessage is used when the body isn't an ErrorResponse (e.g. proxy error page).
+    // The Error carries code (the API's error, else Http<status>) and detail.
+    async function read(response, fallbackMessage) {
+        let body = null;
+        try {
+            body = await response.json();
+        } catch {
+            // Not JSON
+        }
+
+        const error = new Error(body?.message || `${fallbackMessage}: ${response.statusText}`);
+        error.code = body?.error || `Http${response.status}`;
+        error.detail = body?.detail || null;
+        return error;
+    }
+
+    return {
+        read
+    };
+})();
@@ -5,37 +5,87 @@ const HUB_URL = `${API_URL}/hubs/repository`;
 // Application State
 let state = {
     repositoryId: null,
+    repositories: [], // Recently used repositories with API info, most recent first
     connection: null,
+    monitoring: false,
+    monitoredIds: new Set(), // Repositories the server monitors (this page's or the dashboard's)
     commits: [],
     branches: [],
     relationships: [], // Add relationships array
+    availableBranches: [], // Every branch from GET /branches (feeds the filter preview)
+    branchPattern: '', // Text of the applied filter (kept in the URL)
+    branchFilter: BranchFilter.parse(''), // Applied filter, shared by overview, replay and monitoring
+    fullHistory: false, // Load every commit with parent links instead of the overview
+    layoutMode: 'branches', // 'branches', 'auto' (branches arranged by topology) or 'authors' (one swimlane per author)
+    authorGroups: '', // Author group definitions, one "Group: pattern, pattern" per line
+    hiddenAuthors: new Set(), // Author lane keys left out of the author layout
+    lanePreferences: LanePreferences.empty(), // Branch lane order, pins and hidden lanes (per repository)
+    branchColorRules: null, // Branch colour rules (per repository); null uses the theme's defaults
+    activeTab: 'graph', // 'graph' or 'activity' (heatmap)
     replaySessionId: null,
+    replayEnded: false, // The session completed or failed; its commits stay on screen but it can't seek
+    selectedCommitSha: null,
     replaySpeed: 1.0,
-    stats: {
+    replayPaused: false,
+    replayTotalCommits: 0,
+    replayCommits: [], // Commits played so far, in order (rebuilds the graph when seeking)
+    replaySeeking: false,
+    replayBuffer: null, // Live replay commits held back while catching up after a reconnect
+    liveFeed: [], // { commit, receivedAt } pushed while monitoring, newest first
+    replayScrubbing: false,
+    replayWindow: null, // { start, end } Dates brushed on the timeline; null replays all history
+    comparison: {
+        base: null,
+        compare: null,
+        divergence: null, // { commitsAhead, commitsBehind } of compare relative to base
+        ancestor: null // Common ancestor commit
+    },
+    search: {
+        query: '',
+        results: [], // Matching commits, oldest first
+        index: -1 // Result the graph is panned to
+    },
+    stats: { // Repository totals from the API
         totalCommits: 0,
-        totalBranches: 0,
-        linesAdded: 0,
-        linesRemoved: 0
-    }
+        totalBranches: 0
+    },
+    statistics: CommitStatistics.create() // Totals and weekly series of the commits on screen (see statistics.js)
 };
 
 // Initialize application
 document.addEventListener('DOMContentLoaded', () => {
     initializeEventHandlers();
     initializeSignalR();
+    restoreView(ViewLink.read());
+    refreshRepositoryList();
+
+    // Keep the feed's "pushed ... ago" times current
+    setInterval(renderLiveFeed, 60000);
 });
 
+// Back/forward move between views recorded in the URL
+window.addEventListener('popstate', () => restoreView(ViewLink.read()));
+
 // Event Handlers
 function initializeEventHandlers() {
     // Repository
     document.getElementById('clone-btn').addEventListener('click', cloneRepository);
     document.getElementById('filter-btn').addEventListener('click', applyBranchFilter);
+    document.getElementById('branch-pattern').addEventListener('input', updateBranchFilterPreview);
+    document.getElementById('branch-pattern').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') applyBranchFilter();
+    });
     
     // Replay
     document.getElementById('replay-start').addEventListener('click', startReplay);
     document.getElementById('replay-pause').addEventListener('click', pauseReplay);
     document.getElementById('replay-resume').addEventListener('click', resumeReplay);
     document.getElementById('replay-stop').addEventListener('click', stopReplay);
+    document.getElementById('replay-record').addEventListener('change', toggleRecording);
+    document.getElementById('replay-window-clear').addEventListener('click', () => {
+        setVisualizationReplayWindow(null);
+        setReplayWindow(null);
+    });
     
     // Speed slider
     const speedSlider = document.getElementById('speed-slider');
@@ -44,37 +94,311 @@ function initializeEventHandlers() {
         state.replaySpeed = speed;
         document.getElementById('speed-display').textContent = `${speed.toFixed(1)}x`;
     });
+    speedSlider.addEventListener('change', () => {
+        setReplaySpeed(state.replaySpeed);
+        updateViewLink();
+    });
+    
+    // Replay scrubber
+    const scrubber = document.getElementById('replay-scrubber');
+    scrubber.addEventListener('pointerdown', () => { state.replayScrubbing = true; });
+    scrubber.addEventListener('input', (e) => {
+        state.replayScrubbing = true;
+        updateReplayProgress(parseInt(e.target.value));
+    });
+    scrubber.addEventListener('change', (e) => {
+        state.replayScrubbing = false;
+        seekReplay(parseInt(e.target.value));
+    });
     
     // Monitoring
     document.getElementById('monitor-start').addEventListener('click', startMonitoring);
     document.getElementById('monitor-stop').addEventListener('click', stopMonitoring);
     
-    // Commit detail close
-    document.querySelector('.detail-close').addEventListener('click', hideCommitDetail);
+    // Commit detail
+    document.querySelector('.detail-close').addEventListener('click', () => {
+        hideCommitDetail();
+        updateViewLink({ push: true });
+    });
+    document.getElementById('detail-locate').addEventListener('click', () => {
+        if (state.selectedCommitSha) {
+            focusVisualizationCommit(state.selectedCommitSha);
+        }
+    });
+    
+    // View mode
+    document.getElementById('full-history-toggle').addEventListener('change', toggleFullHistory);
+    document.getElementById('layout-mode').addEventListener('change', setLayoutMode);
+    
+    // Branch list
+    document.getElementById('branch-list-search').addEventListener('input', renderBranchList);
+    document.getElementById('branch-list-sort').addEventListener('change', renderBranchList);
+    document.getElementById('branch-list-reset').addEventListener('click', () => updateLanePreferences(LanePreferences.empty()));
+    
+    // Statistics
+    document.getElementById('stats-breakdown').addEventListener('change', renderStatistics);
+    
+    // Tabs and activity heatmap
+    document.querySelectorAll('.canvas-tab').forEach(tab => {
+        tab.addEventListener('click', () => showTab(tab.dataset.view));
+    });
+    ['activity-mode', 'activity-metric', 'activity-branch', 'activity-author'].forEach(id => {
+        document.getElementById(id).addEventListener('change', renderActivity);
+    });
+    
+    // Branch comparison
+    document.getElementById('compare-base').addEventListener('change', (e) => {
+        setComparisonBranches(e.target.value || null, state.comparison.compare);
+    });
+    document.getElementById('compare-target').addEventListener('change', (e) => {
+        setComparisonBranches(state.comparison.base, e.target.value || null);
+    });
+    document.getElementById('compare-swap').addEventListener('click', () => {
+        setComparisonBranches(state.comparison.compare, state.comparison.base);
+    });
+    document.getElementById('compare-clear').addEventListener('click', () => setComparisonBranches(null, null));
+    
+    // Commit search
+    const searchInput = document.getElementById('commit-search');
+    searchInput.addEventListener('input', () => runSearch());
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') stepSearch(e.shiftKey ? -1 : 1);
+        if (e.key === 'Escape') {
+            searchInput.value = '';
+            runSearch();
+        }
+    });
+    document.getElementById('search-prev').addEventListener('click', () => stepSearch(-1));
+    document.getElementById('search-next').addEventListener('click', () => stepSearch(1));
+    
+    // Authors
+    document.getElementById('author-groups-apply').addEventListener('click', applyAuthorGroups);
+    
+    // Zoom
+    document.getElementById('zoom-reset').addEventListener('click', () => resetVisualizationZoom());
+    
+    // Export
+    document.getElementById('export-toggle').addEventListener('click', () => {
+        document.getElementById('export-menu').classList.toggle('hidden');
+    });
+    document.getElementById('export-download').addEventListener('click', exportGraph);
+    
+    // Appearance
+    const themeSelect = document.getElementById('theme-select');
+    themeSelect.replaceChildren(...Theme.list().map(theme => new Option(theme.label, theme.name)));
+    themeSelect.value = Theme.getName();
+    themeSelect.addEventListener('change', (e) => setTheme(e.target.value));
+    const canvasThreshold = loadCanvasThreshold();
+    if (canvasThreshold !== null) setVisualizationCanvasThreshold(canvasThreshold);
+    document.getElementById('canvas-threshold').value = getVisualizationCanvasThreshold();
+    document.getElementById('canvas-threshold').addEventListener('change', setCanvasThreshold);
+    document.getElementById('color-rule-add').addEventListener('click', addColorRule);
+    document.getElementById('color-rules-reset').addEventListener('click', () => {
+        updateBranchColorRules(null);
+        updateStatus('color-rules-status', 'Using the theme\'s default colours');
+    });
+    document.getElementById('color-rules-export').addEventListener('click', exportColorRules);
+    document.getElementById('color-rules-import').addEventListener('click', () => {
+        document.getElementById('color-rules-file').click();
+    });
+    document.getElementById('color-rules-file').addEventListener('change', importColorRules);
+    renderColorRules();
+    
+    // Keyboard shortcuts (arrow keys in the graph are handled by the visualization)
+    document.addEventListener('keydown', handleShortcut);
+}
+
+// Keyboard Shortcuts
+// Replay keys press whichever control is enabled, so they follow the same rules as the buttons.
+// Nothing fires while typing in a field; Space is left to a focused button.
+const replaySpeedStep = 0.5;
+
+function handleShortcut(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+    if (e.target.closest('input, textarea, select, [contenteditable]')) return;
+
+    const click = id => {
+        const button = document.getElementById(id);
+        if (button.disabled) return false;
+        button.click();
+        return true;
+    };
+
+    switch (e.key) {
+        case 'Escape':
+            if (!state.selectedCommitSha) return;
+            hideCommitDetail();
+            updateViewLink({ push: true });
+            break;
+        case ' ':
+            if (e.target.closest('button, a, [role="button"]')) return;
+            if (!click('replay-pause') && !click('replay-resume') && !click('replay-start')) return;
+            break;
+        case 'x':
+            if (!click('replay-stop')) return;
+            break;
+        case ',':
+        case '.':
+            if (!stepReplay(e.key === '.' ? 1 : -1)) return;
+            break;
+        case '[':
+        case ']':
+            changeReplaySpeed(e.key === ']' ? replaySpeedStep : -replaySpeedStep);
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
+}
+
+// Seek one commit forward or back; returns false when there is no replay or no room
+function stepReplay(direction) {
+    const index = state.replayCommits.length + direction;
+    if (!canSeekReplay() || index < 0 || index > state.replayTotalCommits) return false;
+
+    seekReplay(index);
+    return true;
+}
+
+// Move the speed slider, which applies the speed like a drag would
+function changeReplaySpeed(delta) {
+    const slider = document.getElementById('speed-slider');
+    const speed = Math.min(parseFloat(slider.max), Math.max(parseFloat(slider.min), state.replaySpeed + delta));
+    slider.value = speed;
+    slider.dispatchEvent(new Event('input'));
+    slider.dispatchEvent(new Event('change'));
+
+    // A running replay reports the new speed itself
+    if (!state.replaySessionId) updateStatus('replay-status', `Speed ${speed.toFixed(1)}x`);
 }
 
 // SignalR Setup
+// Group subscriptions belong to a connection, so they are renewed after every reconnect,
+// followed by a catch-up fetch of what was broadcast while the client was away.
 async function initializeSignalR() {
-    state.connection = new signalR.HubConnectionBuilder()
-        .withUrl(HUB_URL)
-        .withAutomaticReconnect()
-        .configureLogging(signalR.LogLevel.Information)
-        .build();
-
-    // Event handlers
-    state.connection.on('ReceiveNewCommits', handleNewCommits);
-    state.connection.on('RepositoryUpdated', handleRepositoryUpdated);
-    state.connection.on('ReplayCommit', handleReplayCommit);
-    state.connection.on('ReplayCompleted', handleReplayCompleted);
-    state.connection.on('ReplayError', handleReplayError);
+    const hub = HubClient.create(HUB_URL, {
+        handlers: {
+            ReceiveNewCommits: handleNewCommits,
+            RepositoryUpdated: handleRepositoryUpdated,
+            ReplayCommit: handleReplayCommit,
+            ReplayCompleted: handleReplayCompleted,
+            ReplayError: handleReplayError,
+            Error: handleHubError
+        },
+        onConnected: () => {
+            updateStatus('monitor-status', 'Connected to server');
+            return resubscribe();
+        },
+        onReconnecting: () => {
+            if (state.monitoring) {
+                updateStatus('monitor-status', 'Connection lost, reconnecting...', true);
+            }
+        },
+        onConnectFailed: () => updateStatus('monitor-status', 'Connection failed', true)
+    });
+
+    state.connection = hub.connection;
+    await hub.connect();
+}
+
+// Renew the repository and replay groups and fill in what was missed while disconnected
+async function resubscribe() {
+    if (state.monitoring && state.repositoryId) {
+        try {
+            await state.connection.invoke('SubscribeToRepository', state.repositoryId);
+            const recovered = handleNewCommits(await fetchMissedCommits());
+            updateStatus('monitor-status', recovered > 0
+                ? `Monitoring active, recovered ${recovered} missed commit(s)`
+                : 'Monitoring active (5s polling)');
+        } catch (err) {
+            console.error('Monitor resubscribe error:', err);
+            updateStatus('monitor-status', `Error: ${err.message}`, true);
+        }
+    }
+
+    if (state.replaySessionId) {
+        try {
+            await state.connection.invoke('SubscribeToReplay', state.replaySessionId);
+            await catchUpReplay();
+        } catch (err) {
+            console.error('Replay resubscribe error:', err);
+            updateStatus('replay-status', `Error: ${err.message}`, true);
+        }
+    }
+}
+
+// Commits pushed to the displayed branches since they were loaded (newest first, like the
+// ReceiveNewCommits broadcast). The server leaves out the history of the loaded branch tips, so
+// only what was pushed meanwhile is listed, whatever its date. Only the tips are sent to keep the
+// URL short; live commits the graph already has are dropped here instead.
+// The overview only holds significant commits, so older commits missing from state.commits are not gaps.
+const missedCommitsLimit = 500;
+
+async function fetchMissedCommits() {
+    const tips = new Set(state.branches.map(b => b.tipSha).filter(Boolean));
+    const query = [
+        ...state.branches.map(b => `branch=${encodeURIComponent(b.name)}`),
+        ...[...tips].map(sha => `exclude=${sha}`),
+        `take=${missedCommitsLimit}`
+    ].join('&');
+
+    const response = await fetch(`${API_URL}/api/repositories/${state.repositoryId}/commits?${query}`);
+    if (!response.ok) {
+        throw await ApiError.read(response, 'Failed to load missed commits');
+    }
+
+    const commits = await response.json();
+    const known = new Set(state.commits.map(c => c.sha));
+    return commits.filter(c => !known.has(c.sha));
+}
+
+// Play the replay commits streamed while disconnected. Live commits arriving meanwhile are
+// held back and played after them, so the replay order is kept.
+// A session that ended meanwhile (its ReplayCompleted/ReplayError broadcast was missed) is finished
+// here after its last commits; one no longer on the server (e.g. after a restart) counts as completed.
+async function catchUpReplay() {
+    const baseUrl = `${API_URL}/api/repositories/${state.repositoryId}/replay/${state.replaySessionId}`;
+    state.replayBuffer = [];
+    let missed = [];
+    let finish = null;
 
     try {
-        await state.connection.start();
-        console.log('SignalR connected');
-        updateStatus('monitor-status', 'Connected to server');
-    } catch (err) {
-        console.error('SignalR connection error:', err);
-        updateStatus('monitor-status', 'Connection failed', true);
+        const response = await fetch(baseUrl);
+        if (response.status === 404) {
+            finish = () => handleReplayCompleted({ sessionId: state.replaySessionId });
+            return;
+        }
+        if (!response.ok) {
+            throw await ApiError.read(response, 'Failed to load replay session');
+        }
+
+        const session = await response.json();
+        if (session.state === 'Failed') {
+            finish = () => handleReplayError({ sessionId: session.sessionId, message: session.error || 'Replay failed' });
+        } else if (session.state === 'Completed' || session.state === 'Cancelled') {
+            finish = () => handleReplayCompleted({ sessionId: session.sessionId });
+        }
+
+        const played = state.replayCommits.length;
+        if (session.currentIndex > played) {
+            const commitsResponse = await fetch(`${baseUrl}/commits?skip=${played}&take=${session.currentIndex - played}`);
+            if (!commitsResponse.ok) {
+                throw await ApiError.read(commitsResponse, 'Failed to load replay commits');
+            }
+            missed = await commitsResponse.json();
+        }
+    } finally {
+        const buffered = state.replayBuffer || [];
+        const played = new Set(state.replayCommits.map(c => c.sha));
+        state.replayBuffer = null;
+
+        [...missed, ...buffered].forEach(commit => {
+            if (played.has(commit.sha)) return;
+            played.add(commit.sha);
+            handleReplayCommit(commit);
+        });
+
+        finish?.();
     }
 }
 
@@ -104,10 +428,12 @@ async function cloneRepository() {
         
         // Clear previous repository state
         if (state.repositoryId && state.repositoryId !== repo.id) {
+            await leaveRepository();
             clearRepositoryState();
         }
         
         state.repositoryId = repo.id;
+        rememberRepository(repo);
         
         const statusMessage = repo.alreadyExisted 
             ? `Repository updated: ${repo.defaultBranch} (${repo.totalCommits} commits)`
@@ -124,32 +450,289 @@ async function cloneRepository() {
     }
 }
 
+// Repository List
+// Recently used repositories (see recent-repositories.js), checked against the API on startup
+async function refreshRepositoryList() {
+    const [entries] = await Promise.all([fetchRepositoryEntries(), refreshMonitoredIds()]);
+
+    state.repositories = entries.filter(Boolean);
+    renderRepositoryList();
+}
+
+async function fetchRepositoryEntries() {
+    return Promise.all(RecentRepositories.list().map(async entry => {
+        try {
+            const response = await fetch(`${API_URL}/api/repository/${encodeURIComponent(entry.id)}`);
+
+            // Deleted on the server (or the clone directory was removed)
+            if (response.status === 404) {
+                RecentRepositories.forget(entry.id);
+                return null;
+            }
+
+            if (!response.ok) {
+                throw await ApiError.read(response, 'Failed to load repository');
+            }
+
+            return { ...(await response.json()), available: true };
+        } catch (err) {
+            console.warn('Repository unavailable:', entry.id, err);
+            return { id: entry.id, url: entry.url, available: false };
+        }
+    }));
+}
+
+// Monitoring outlives this page, so the list marks every repository the server still polls
+async function refreshMonitoredIds() {
+    try {
+        const response = await fetch(`${API_URL}/api/monitoring`);
+        if (!response.ok) {
+            throw await ApiError.read(response, 'Failed to load monitored repositories');
+        }
+
+        state.monitoredIds = new Set(await response.json());
+    } catch (err) {
+        console.warn('Monitored repositories unavailable:', err);
+    }
+}
+
+function setMonitored(id, monitored) {
+    if (monitored) {
+        state.monitoredIds.add(id);
+    } else {
+        state.monitoredIds.delete(id);
+    }
+    renderRepositoryList();
+}
+
+function rememberRepository(repo) {
+    RecentRepositories.remember(repo);
+    state.repositories = [
+        { ...repo, available: true },
+        ...state.repositories.filter(entry => entry.id !== repo.id)
+    ];
+    renderRepositoryList();
+}
+
+function renderRepositoryList() {
+    const list = document.getElementById('repository-list');
+    list.replaceChildren();
+
+    state.repositories.forEach(repo => {
+        const item = document.createElement('div');
+        item.className = repo.id === state.repositoryId ? 'repository-item active' : 'repository-item';
+
+        const open = document.createElement('button');
+        open.className = 'repository-open';
+        open.title = repo.url;
+        open.disabled = !repo.available;
+        open.addEventListener('click', () => switchRepository(repo.id));
+
+        const name = document.createElement('span');
+        name.className = 'repository-name';
+        name.textContent = Format.repositoryName(repo.url);
+
+        const meta = document.createElement('span');
+        meta.className = 'repository-meta';
+        meta.textContent = repo.available
+            ? `${repo.totalCommits} commits · ${repo.totalBranches} branches · ` +
+              (repo.lastFetchedAt ? `fetched ${Format.relativeTime(repo.lastFetchedAt)}` : 'never fetched')
+            : 'Unavailable';
+
+        open.append(name, meta);
+
+        if (state.monitoredIds.has(repo.id)) {
+            const monitored = document.createElement('span');
+            monitored.className = 'repository-monitored';
+            monitored.textContent = 'Monitored';
+            monitored.title = 'The server polls this repository for new commits; open it and click Stop, or stop it on the dashboard';
+            open.appendChild(monitored);
+        }
+
+        const fetchButton = document.createElement('button');
+        fetchButton.className = 'btn btn-compact';
+        fetchButton.textContent = 'Fetch';
+        fetchButton.title = 'Fetch updates from the remote';
+        fetchButton.disabled = !repo.available;
+        fetchButton.addEventListener('click', () => fetchRepository(repo.id));
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'btn btn-compact';
+        deleteButton.textContent = 'Delete';
+        deleteButton.title = 'Delete the server-side clone';
+        deleteButton.addEventListener('click', () => deleteRepository(repo.id));
+
+        item.append(open, fetchButton, deleteButton);
+        list.appendChild(item);
+    });
+}
+
+async function switchRepository(id) {
+    if (id === state.repositoryId) return;
+
+    updateStatus('repo-status', 'Loading repository...');
+
+    try {
+        const response = await fetch(`${API_URL}/api/repository/${encodeURIComponent(id)}`);
+        if (!response.ok) {
+            throw await ApiError.read(response, 'Failed to load repository');
+        }
+
+        const repo = await response.json();
+
+        await leaveRepository();
+        clearRepositoryState();
+
+        state.repositoryId = repo.id;
+        rememberRepository(repo);
+        document.getElementById('repo-url').value = repo.url;
+        updateStatus('repo-status', `Loaded: ${repo.defaultBranch} (${repo.totalCommits} commits)`);
+        updateStats(repo);
+
+        await loadRepository();
+        await resumeMonitoring();
+    } catch (err) {
+        console.error('Switch repository error:', err);
+        updateStatus('repo-status', `Error: ${err.message}`, true);
+    }
+}
+
+async function fetchRepository(id) {
+    updateStatus('repo-status', 'Fetching updates...');
+
+    try {
+        const response = await fetch(`${API_URL}/api/repository/${encodeURIComponent(id)}/fetch`, { method: 'POST' });
+        if (!response.ok) {
+            throw await ApiError.read(response, 'Fetch failed');
+        }
+
+        const hasUpdates = await response.json();
+
+        // Refresh counts and the fetch time
+        const infoResponse = await fetch(`${API_URL}/api/repository/${encodeURIComponent(id)}`);
+        if (infoResponse.ok) {
+            const repo = await infoResponse.json();
+            state.repositories = state.repositories.map(entry => entry.id === id ? { ...repo, available: true } : entry);
+            renderRepositoryList();
+            if (id === state.repositoryId) updateStats(repo);
+        }
+
+        updateStatus('repo-status', hasUpdates ? 'New commits fetched' : 'Already up to date');
+
+        if (hasUpdates && id === state.repositoryId) {
+            await loadRepository();
+        }
+    } catch (err) {
+        console.error('Fetch error:', err);
+        updateStatus('repo-status', `Error: ${err.message}`, true);
+    }
+}
+
+async function deleteRepository(id) {
+    const repo = state.repositories.find(entry => entry.id === id);
+    const name = repo ? Format.repositoryName(repo.url) : id;
+    if (!window.confirm(`Delete "${name}"? The server-side clone is removed and must be cloned again to use it.`)) {
+        return;
+    }
+
+    try {
+        if (id === state.repositoryId) {
+            await leaveRepository();
+        }
+
+        // Nothing left to poll once the clone is gone
+        await fetch(`${API_URL}/api/monitoring/stop/${encodeURIComponent(id)}`, { method: 'POST' });
+        state.monitoredIds.delete(id);
+
+        const response = await fetch(`${API_URL}/api/repository/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        if (!response.ok) {
+            throw await ApiError.read(response, 'Delete failed');
+        }
+
+        RecentRepositories.forget(id);
+        state.repositories = state.repositories.filter(entry => entry.id !== id);
+
+        if (id === state.repositoryId) {
+            clearRepositoryState();
+            state.repositoryId = null;
+            updateViewLink({ push: true });
+        }
+
+        renderRepositoryList();
+        updateStatus('repo-status', `Deleted ${name}`);
+    } catch (err) {
+        console.error('Delete error:', err);
+        updateStatus('repo-status', `Error: ${err.message}`, true);
+    }
+}
+
+// Stop following monitoring and stop the replay of the current repository before switching away
+async function leaveRepository() {
+    if (state.monitoring) {
+        try {
+            await state.connection.invoke('UnsubscribeFromRepository', state.repositoryId);
+        } catch (err) {
+            console.error('Monitor unsubscribe error:', err);
+        }
+        setMonitoring(false);
+        updateStatus('monitor-status', '');
+    }
+
+    if (state.replaySessionId) {
+        try {
+            await fetch(
+                `${API_URL}/api/repositories/${state.repositoryId}/replay/${state.replaySessionId}/stop`,
+                { method: 'POST' }
+            );
+            await state.connection.invoke('UnsubscribeFromReplay', state.replaySessionId);
+        } catch (err) {
+            console.error('Stop replay error:', err);
+        }
+    }
+}
+
 function clearRepositoryState() {
     // Clear state
     state.commits = [];
     state.branches = [];
     state.relationships = [];
+    state.availableBranches = [];
+    state.hiddenAuthors = new Set();
+    state.lanePreferences = LanePreferences.empty();
+    state.branchColorRules = null;
     state.replaySessionId = null;
+    state.replayEnded = false;
+    state.replayBuffer = null;
+    state.liveFeed = [];
+    stopRecording();
     
     // Clear visualization
     clearVisualization();
+    hideCommitDetail();
+    setVisualizationReplayWindow(null);
+    setReplayWindow(null);
+    document.getElementById('commit-search').value = '';
+    runSearch();
+    setComparisonBranches(null, null);
     
     // Reset stats
     state.stats = {
         totalCommits: 0,
-        totalBranches: 0,
-        linesAdded: 0,
-        linesRemoved: 0
+        totalBranches: 0
     };
+    state.statistics.reset();
     
-    document.getElementById('stat-commits').textContent = '0';
     document.getElementById('stat-branches').textContent = '0';
-    document.getElementById('stat-additions').textContent = '+0';
-    document.getElementById('stat-deletions').textContent = '-0';
+    renderStatistics();
     
     // Reset UI elements
     updateCanvasInfo('No repository loaded');
     setReplayButtonState(false);
+    updateBranchFilterPreview();
+    renderBranchList();
+    renderActivity();
+    renderLiveFeed();
+    renderColorRules();
     
     console.log('Repository state cleared');
 }
@@ -160,24 +743,34 @@ async function loadRepository() {
     try {
         updateStatus('repo-status', 'Loading branch overview...');
         
-        // Get branch filter patterns - handle empty/whitespace properly
-        const branchFilterInput = document.getElementById('branch-pattern').value;
-        const branchFilter = branchFilterInput ? branchFilterInput.trim() : '';
-        const hasFilter = branchFilter.length > 0;
+        // Resolve the filter to exact branch names so the server sees the same set as replay and monitoring
+        state.branchPattern = document.getElementById('branch-pattern').value.trim();
+        state.branchFilter = BranchFilter.parse(state.branchPattern);
+        state.lanePreferences = LanePreferences.load(state.repositoryId);
+        state.branchColorRules = BranchColors.load(state.repositoryId);
+        renderColorRules();
+        if (state.availableBranches.length === 0) {
+            await fetchAvailableBranches();
+        }
+        const branchNames = getFilteredBranchNames();
+        
+        console.log('Branch filter:', state.branchFilter);
         
-        console.log('Branch filter input:', `"${branchFilterInput}"`);
-        console.log('Has filter:', hasFilter);
+        if (branchNames && branchNames.length === 0) {
+            updateStatus('repo-status', 'No branches found matching filter', true);
+            updateCanvasInfo('No branches to display');
+            state.commits = [];
+            state.branches = [];
+            clearVisualization();
+            return;
+        }
         
         // Use the new overview endpoint that returns only significant commits
         // Note: includeRemote defaults to true on the server
         let overviewUrl = `${API_URL}/api/repositories/${state.repositoryId}/branches/overview`;
-        if (hasFilter) {
-            const patterns = branchFilter.split(',').map(p => p.trim()).filter(p => p.length > 0);
-            console.log('Parsed patterns:', patterns);
-            if (patterns.length > 0) {
-                const queryParams = patterns.map(p => `patterns=${encodeURIComponent(p)}`).join('&');
-                overviewUrl += `?${queryParams}`;
-            }
+        if (branchNames) {
+            const queryParams = branchNames.map(name => `patterns=${encodeURIComponent(name)}`).join('&');
+            overviewUrl += `?${queryParams}`;
         }
         
         console.log('Fetching branch overview from:', overviewUrl);
@@ -202,19 +795,24 @@ async function loadRepository() {
             timestamp: b.headTimestamp
         }));
 
-        state.commits = overview.significantCommits.map(c => ({
-            sha: c.sha,
-            author: c.author,
-            authorEmail: '', // Not included in overview
-            timestamp: c.timestamp,
-            message: c.shortMessage,
-            shortMessage: c.shortMessage,
-            parentShas: [], // We don't need parent relationships for overview
-            isMerge: false,
-            stats: c.stats,
-            branches: c.branches,
-            significance: c.type // Store the significance type
-        }));
+        if (state.fullHistory) {
+            updateStatus('repo-status', 'Loading full commit history...');
+            state.commits = await fetchFullHistory(state.branches.map(b => b.name));
+        } else {
+            state.commits = overview.significantCommits.map(c => ({
+                sha: c.sha,
+                author: c.author,
+                authorEmail: c.authorEmail,
+                timestamp: c.timestamp,
+                message: c.shortMessage,
+                shortMessage: c.shortMessage,
+                parentShas: [], // We don't need parent relationships for overview
+                isMerge: false,
+                stats: c.stats,
+                branches: c.branches,
+                significance: c.type // Store the significance type
+            }));
+        }
 
         // Store relationships for visualization
         state.relationships = overview.relationships || [];
@@ -240,6 +838,13 @@ async function loadRepository() {
         // Render visualization
         console.log('Calling renderVisualization with', state.commits.length, 'commits and', state.branches.length, 'branches');
         renderVisualization();
+        runSearch();
+        updateComparisonOptions();
+        renderBranchList();
+        renderActivity();
+        state.statistics.reset(state.commits);
+        renderStatistics();
+        updateViewLink({ push: true });
         
         const commitTypeBreakdown = overview.significantCommits.reduce((acc, c) => {
             acc[c.type] = (acc[c.type] || 0) + 1;
@@ -247,8 +852,13 @@ async function loadRepository() {
         }, {});
         console.log('Commit types:', commitTypeBreakdown);
         
-        updateCanvasInfo(`${state.commits.length} significant commits (${state.branches.length} branches)`);
-        updateStatus('repo-status', `Loaded overview: ${state.commits.length} commits, ${state.branches.length} branches`);
+        if (state.fullHistory) {
+            updateCanvasInfo(`${state.commits.length} commits (${state.branches.length} branches)`);
+            updateStatus('repo-status', `Loaded full history: ${state.commits.length} commits, ${state.branches.length} branches`);
+        } else {
+            updateCanvasInfo(`${state.commits.length} significant commits (${state.branches.length} branches)`);
+            updateStatus('repo-status', `Loaded overview: ${state.commits.length} commits, ${state.branches.length} branches`);
+        }
         
     } catch (err) {
         console.error('Load error:', err);
@@ -256,82 +866,1145 @@ async function loadRepository() {
     }
 }
 
-async function applyBranchFilter() {
-    if (!state.repositoryId) return;
-
-    const patterns = document.getElementById('branch-pattern').value
-        .split(',')
-        .map(p => p.trim())
-        .filter(p => p);
-
-    if (patterns.length === 0) {
-        await loadRepository();
-        return;
+// Load every commit on the displayed branches, including parent links.
+// The server walks from all their tips at once, so unmerged branches are included and shared history comes once.
+async function fetchFullHistory(branchNames) {
+    const query = branchNames.map(name => `branch=${encodeURIComponent(name)}`).join('&');
+    const response = await fetch(`${API_URL}/api/repositories/${state.repositoryId}/commits?${query}`);
+    if (!response.ok) {
+        throw await ApiError.read(response, 'Failed to load commit history');
     }
 
-    try {
-        const queryParams = patterns.map(p => `patterns=${encodeURIComponent(p)}`).join('&');
-        const response = await fetch(
-            `${API_URL}/api/repositories/${state.repositoryId}/branches?${queryParams}`
-        );
-        state.branches = await response.json();
+    const commits = await response.json();
+
+    return commits
+        .map(c => ({
+            sha: c.sha,
+            author: c.author,
+            authorEmail: c.authorEmail,
+            timestamp: c.timestamp,
+            message: c.message,
+            shortMessage: c.shortMessage,
+            parentShas: c.parentShas,
+            isMerge: c.isMerge,
+            stats: c.stats,
+            branches: c.branches,
+            significance: null
+        }));
+}
 
-        // Reload commits for filtered branches
+async function toggleFullHistory(event) {
+    state.fullHistory = event.target.checked;
+    document.getElementById('canvas-title').textContent = state.fullHistory ? 'Full History' : 'Branch Overview';
+    
+    if (state.repositoryId) {
         await loadRepository();
-        
-    } catch (err) {
-        console.error('Filter error:', err);
     }
 }
 
-// Replay Operations
-async function startReplay() {
-    if (!state.repositoryId) {
-        updateStatus('replay-status', 'Clone a repository first', true);
-        return;
-    }
+// Branch List
+// Displayed branches with metadata from GET /branches. Visibility, pins and drag order
+// are lane preferences, saved per repository and applied when the lanes are laid out.
+function renderBranchList() {
+    const list = document.getElementById('branch-list');
+    const query = document.getElementById('branch-list-search').value.trim().toLowerCase();
+    const sort = document.getElementById('branch-list-sort').value;
+    const preferences = state.lanePreferences;
+    const metadata = new Map(state.availableBranches.map(b => [b.name, b]));
+    const colors = getVisualizationBranchColors();
 
-    try {
-        updateStatus('replay-status', 'Starting replay...');
-        
-        const response = await fetch(
-            `${API_URL}/api/repositories/${state.repositoryId}/replay/start`,
-            {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    speed: state.replaySpeed,
-                    branchFilter: document.getElementById('branch-pattern').value.split(',')[0]?.trim()
-                })
-            }
-        );
+    let branches = LanePreferences.arrange(
+        state.branches.map(b => ({ key: b.name, ...b, ...metadata.get(b.name) })),
+        preferences,
+        { includeHidden: true }
+    );
 
-        const session = await response.json();
-        state.replaySessionId = session.sessionId;
+    // The automatic layout decides the lane order itself; hidden lanes go last
+    const automatic = state.layoutMode === 'auto';
+    if (automatic && sort === 'lanes') {
+        const laneOrder = getVisualizationLaneOrder();
+        const position = (name) => laneOrder.includes(name) ? laneOrder.indexOf(name) : Infinity;
+        branches.sort((a, b) => position(a.key) - position(b.key));
+    }
 
-        // Subscribe to replay stream
-        await state.connection.invoke('SubscribeToReplay', session.sessionId);
+    switch (sort) {
+        case 'name':
+            branches.sort((a, b) => a.key.localeCompare(b.key));
+            break;
+        case 'ahead':
+            branches.sort((a, b) => (b.commitsAhead ?? -1) - (a.commitsAhead ?? -1));
+            break;
+        case 'behind':
+            branches.sort((a, b) => (b.commitsBehind ?? -1) - (a.commitsBehind ?? -1));
+            break;
+    }
 
-        // Clear visualization for replay
-        clearVisualization();
-        
-        updateStatus('replay-status', `Playing ${session.totalCommits} commits at ${state.replaySpeed}x`);
-        setReplayButtonState(true);
-        
-    } catch (err) {
-        console.error('Replay start error:', err);
-        updateStatus('replay-status', 'Failed to start replay', true);
+    if (query) {
+        branches = branches.filter(b => b.key.toLowerCase().includes(query));
     }
+
+    list.replaceChildren(...branches.map(branch => createBranchListItem(branch, {
+        color: colors.get(branch.key),
+        hidden: preferences.hidden.includes(branch.key),
+        pinned: preferences.pinned.includes(branch.key),
+        draggable: sort === 'lanes' && !automatic
+    })));
+
+    renderBranchLegend();
 }
 
-async function pauseReplay() {
-    if (!state.replaySessionId) return;
+function createBranchListItem(branch, { color, hidden, pinned, draggable }) {
+    const item = document.createElement('li');
+    item.className = hidden ? 'branch-list-item hidden-lane' : 'branch-list-item';
+    item.dataset.name = branch.key;
+    item.draggable = draggable;
 
-    try {
-        await fetch(
-            `${API_URL}/api/repositories/${state.repositoryId}/replay/${state.replaySessionId}/pause`,
-            { method: 'POST' }
-        );
+    const visible = document.createElement('input');
+    visible.type = 'checkbox';
+    visible.checked = !hidden;
+    visible.title = hidden ? 'Show lane' : 'Hide lane';
+    visible.addEventListener('change', () => setLaneHidden(branch.key, !visible.checked));
+
+    const swatch = document.createElement('span');
+    swatch.className = 'branch-swatch';
+    swatch.style.background = color || 'transparent';
+
+    const info = document.createElement('div');
+    info.className = 'branch-list-info';
+
+    const name = document.createElement('span');
+    name.className = 'branch-list-name';
+    name.textContent = branch.key;
+    name.title = branch.fullName || branch.key;
+    if (branch.isHead) name.appendChild(createBranchBadge('HEAD'));
+    if (branch.isRemote) name.appendChild(createBranchBadge('remote'));
+
+    const meta = document.createElement('span');
+    meta.className = 'branch-list-meta';
+    meta.textContent = branch.upstreamBranch
+        ? `↑${branch.commitsAhead ?? 0} ↓${branch.commitsBehind ?? 0} ${branch.upstreamBranch}`
+        : 'no upstream';
+
+    info.append(name, meta);
+
+    const pin = document.createElement('button');
+    pin.className = pinned ? 'branch-pin pinned' : 'branch-pin';
+    pin.textContent = pinned ? '★' : '☆';
+    pin.title = pinned ? 'Unpin lane' : 'Pin lane to the top';
+    pin.addEventListener('click', () => setLanePinned(branch.key, !pinned));
+
+    item.append(visible, swatch, info, pin);
+
+    if (draggable) {
+        item.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', branch.key);
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+        });
+        item.addEventListener('dragend', () => item.classList.remove('dragging'));
+        item.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            const after = isDropAfter(item, e);
+            item.classList.toggle('drop-before', !after);
+            item.classList.toggle('drop-after', after);
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drop-before', 'drop-after'));
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            item.classList.remove('drop-before', 'drop-after');
+            moveLane(e.dataTransfer.getData('text/plain'), branch.key, isDropAfter(item, e));
+        });
+    }
+
+    return item;
+}
+
+function createBranchBadge(text) {
+    const badge = document.createElement('span');
+    badge.className = 'branch-badge';
+    badge.textContent = text;
+    return badge;
+}
+
+function isDropAfter(item, event) {
+    const rect = item.getBoundingClientRect();
+    return event.clientY > rect.top + rect.height / 2;
+}
+
+function setLaneHidden(name, hidden) {
+    const preferences = state.lanePreferences;
+    updateLanePreferences({
+        ...preferences,
+        hidden: hidden ? [...preferences.hidden, name] : preferences.hidden.filter(n => n !== name)
+    });
+}
+
+function setLanePinned(name, pinned) {
+    const preferences = state.lanePreferences;
+    updateLanePreferences({
+        ...preferences,
+        pinned: pinned ? [...preferences.pinned, name] : preferences.pinned.filter(n => n !== name)
+    });
+}
+
+// Dropping a lane onto a pinned lane pins it too, so it lands where it was dropped
+function moveLane(name, targetName, after) {
+    if (!name || name === targetName) return;
+
+    const preferences = state.lanePreferences;
+    const order = LanePreferences.arrange(state.branches.map(b => ({ key: b.name })), preferences, { includeHidden: true })
+        .map(lane => lane.key)
+        .filter(key => key !== name);
+    order.splice(order.indexOf(targetName) + (after ? 1 : 0), 0, name);
+
+    const targetPinned = preferences.pinned.includes(targetName);
+    updateLanePreferences({
+        ...preferences,
+        order,
+        pinned: targetPinned
+            ? [...new Set([...preferences.pinned, name])]
+            : preferences.pinned.filter(n => n !== name)
+    });
+}
+
+function updateLanePreferences(preferences) {
+    state.lanePreferences = preferences;
+    LanePreferences.save(state.repositoryId, preferences);
+    relayoutVisualization();
+    renderBranchList();
+}
+
+// Appearance
+// The theme applies to every page and repository (theme.js); branch colour rules belong to the
+// repository (branch-colors.js). Both recolour the lanes, branch list, legend and charts in place.
+function setTheme(name) {
+    if (!Theme.apply(name)) return;
+
+    applyVisualizationTheme();
+    renderBranchList();
+    renderStatistics();
+    renderActivity();
+    renderColorRules();
+}
+
+// The canvas threshold applies to every repository, like the theme
+const canvasThresholdStorageKey = 'lanius.canvasThreshold';
+
+function loadCanvasThreshold() {
+    try {
+        const stored = localStorage.getItem(canvasThresholdStorageKey);
+        const count = stored === null ? NaN : Number(stored);
+        return Number.isInteger(count) && count >= 0 ? count : null;
+    } catch (err) {
+        console.warn('Could not read the canvas threshold:', err);
+        return null;
+    }
+}
+
+function setCanvasThreshold(event) {
+    const count = Number(event.target.value);
+    const valid = event.target.value !== '' && Number.isInteger(count) && count >= 0;
+    event.target.classList.toggle('invalid', !valid);
+    if (!valid) return;
+
+    try {
+        localStorage.setItem(canvasThresholdStorageKey, String(count));
+    } catch (err) {
+        console.warn('Could not save the canvas threshold:', err);
+    }
+    setVisualizationCanvasThreshold(count);
+}
+
+function getBranchColorRules() {
+    return state.branchColorRules || BranchColors.defaults(Theme.get());
+}
+
+// null goes back to the theme's defaults. Field edits keep the editor as it is,
+// so focus doesn't jump while tabbing through a rule.
+function updateBranchColorRules(rules, { renderEditor = true } = {}) {
+    state.branchColorRules = rules;
+    BranchColors.save(state.repositoryId, rules);
+    relayoutVisualization();
+    renderBranchList();
+    renderStatistics();
+    document.getElementById('color-rules-reset').disabled = !rules;
+    if (renderEditor) renderColorRules();
+}
+
+// Editing a default rule saves the whole list for the repository.
+// Returns false (nothing applied) when a rule is invalid.
+function changeColorRules(change, options) {
+    const rules = getBranchColorRules().map(rule => ({ ...rule }));
+    change(rules);
+
+    const invalid = rules.map(BranchColors.validate).findIndex(Boolean);
+    if (invalid >= 0) {
+        updateStatus('color-rules-status', `Rule ${invalid + 1} not applied: ${BranchColors.validate(rules[invalid])}`, true);
+        return false;
+    }
+
+    updateBranchColorRules(rules, options);
+    updateStatus('color-rules-status', '');
+    return true;
+}
+
+function addColorRule() {
+    const palette = Theme.get().chartPalette;
+    changeColorRules(rules => rules.push({
+        pattern: 'team/*',
+        color: d3.color(palette[rules.length % palette.length]).formatHex(),
+        label: 'New rule'
+    }));
+
+    const patterns = document.querySelectorAll('.color-rule-pattern');
+    const added = patterns[patterns.length - 1];
+    added?.focus();
+    added?.select();
+}
+
+function renderColorRules() {
+    const rules = getBranchColorRules();
+    document.getElementById('color-rules').replaceChildren(...rules.map((rule, i) => createColorRuleRow(rule, i, rules.length)));
+    document.getElementById('color-rules-reset').disabled = !state.branchColorRules;
+}
+
+function createColorRuleRow(rule, index, count) {
+    const row = document.createElement('div');
+    row.className = 'color-rule';
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.className = 'color-rule-swatch';
+    color.value = rule.color;
+    color.setAttribute('aria-label', `Colour for ${rule.pattern}`);
+    color.addEventListener('change', () => {
+        changeColorRules(rules => { rules[index].color = color.value; }, { renderEditor: false });
+    });
+
+    const pattern = document.createElement('input');
+    pattern.className = 'input-field color-rule-pattern';
+    pattern.value = rule.pattern;
+    pattern.placeholder = 'release/* or /regex/';
+    pattern.title = 'Branch names: "*" wildcards, or a regular expression between slashes';
+    pattern.setAttribute('aria-label', 'Branch pattern');
+    pattern.addEventListener('change', () => {
+        const applied = changeColorRules(rules => { rules[index].pattern = pattern.value.trim(); }, { renderEditor: false });
+        pattern.classList.toggle('invalid', !applied);
+        pattern.setAttribute('aria-invalid', !applied);
+    });
+
+    const label = document.createElement('input');
+    label.className = 'input-field color-rule-label';
+    label.value = rule.label;
+    label.placeholder = 'Legend label';
+    label.setAttribute('aria-label', 'Legend label');
+    label.addEventListener('change', () => {
+        changeColorRules(rules => { rules[index].label = label.value.trim() || rules[index].pattern; }, { renderEditor: false });
+    });
+
+    const move = (text, title, offset) => {
+        const button = document.createElement('button');
+        button.className = 'btn btn-compact';
+        button.textContent = text;
+        button.title = title;
+        button.disabled = index + offset < 0 || index + offset >= count;
+        button.addEventListener('click', () => changeColorRules(rules => {
+            [rules[index], rules[index + offset]] = [rules[index + offset], rules[index]];
+        }));
+        return button;
+    };
+
+    const remove = document.createElement('button');
+    remove.className = 'btn btn-compact';
+    remove.textContent = '×';
+    remove.title = 'Remove rule';
+    remove.addEventListener('click', () => changeColorRules(rules => { rules.splice(index, 1); }));
+
+    row.append(color, pattern, label, move('↑', 'Move up (checked earlier)', -1), move('↓', 'Move down', 1), remove);
+    return row;
+}
+
+function exportColorRules() {
+    const blob = new Blob([BranchColors.serialize(getBranchColorRules())], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `lanius-colors-${state.repositoryId || 'default'}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+async function importColorRules(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+        const rules = BranchColors.parse(await file.text());
+        updateBranchColorRules(rules);
+        updateStatus('color-rules-status', `Imported ${rules.length} rule(s) from ${file.name}`);
+    } catch (err) {
+        console.error('Colour rules import error:', err);
+        updateStatus('color-rules-status', `Import failed: ${err.message}`, true);
+    }
+}
+
+// Rules that colour a loaded branch, in rule order, then the branches left to the palette
+function renderBranchLegend() {
+    const legend = document.getElementById('branch-legend');
+    if (state.layoutMode === 'authors' || state.branches.length === 0) {
+        legend.replaceChildren();
+        return;
+    }
+
+    const rules = getBranchColorRules();
+    const counts = new Map();
+    let unmatched = 0;
+    state.branches.forEach(branch => {
+        const rule = BranchColors.match(branch.name, rules);
+        if (rule) {
+            counts.set(rule, (counts.get(rule) || 0) + 1);
+        } else {
+            unmatched++;
+        }
+    });
+
+    const entries = rules
+        .filter(rule => counts.has(rule))
+        .map(rule => ({ label: rule.label, background: rule.color, title: `${rule.pattern}: ${counts.get(rule)} branch(es)` }));
+    if (unmatched > 0) {
+        entries.push({
+            label: 'Other',
+            background: `linear-gradient(90deg, ${Theme.get().lanePalette.join(', ')})`,
+            title: `${unmatched} branch(es) without a rule, coloured from the theme palette`
+        });
+    }
+
+    legend.replaceChildren(...entries.map(entry => {
+        const item = document.createElement('span');
+        item.className = 'stats-legend-item';
+        item.title = entry.title;
+
+        const swatch = document.createElement('span');
+        swatch.className = 'author-swatch';
+        swatch.style.background = entry.background;
+
+        item.append(swatch, entry.label);
+        return item;
+    }));
+}
+
+// Activity Heatmap
+// Second tab: commits or changed lines of the loaded commits per day, week or weekday/hour.
+// Clicking a day or week runs a date search in the graph and zooms to that range.
+function showTab(view) {
+    state.activeTab = view;
+    document.querySelectorAll('.canvas-tab').forEach(tab => {
+        const active = tab.dataset.view === view;
+        tab.classList.toggle('active', active);
+        tab.setAttribute('aria-selected', active);
+    });
+
+    const activityView = document.getElementById('activity-view');
+    activityView.style.top = `${document.getElementById('commit-graph').offsetTop}px`;
+    activityView.classList.toggle('hidden', view !== 'activity');
+
+    if (view === 'activity') renderActivity();
+}
+
+function renderActivity() {
+    updateActivityFilters();
+    if (state.activeTab !== 'activity') return;
+
+    const branch = document.getElementById('activity-branch').value;
+    const author = document.getElementById('activity-author').value;
+    const metric = document.getElementById('activity-metric').value;
+    const commits = state.commits.filter(commit =>
+        (!branch || (commit.branches || []).includes(branch)) &&
+        (!author || commit.author === author));
+
+    const summary = ActivityChart.render(document.getElementById('activity-chart'), commits, {
+        metric,
+        view: document.getElementById('activity-mode').value,
+        onSelect: (range) => showActivityRange(range, author)
+    });
+
+    if (!summary) {
+        updateStatus('activity-status', state.commits.length === 0 ? 'No commits loaded' : 'No commits match');
+        return;
+    }
+
+    const unit = metric === 'lines' ? 'changed lines' : 'commits';
+    const busiest = summary.busiest?.value > 0 ? ` - busiest: ${summary.busiest.label} (${summary.busiest.value})` : '';
+    updateStatus('activity-status', `${summary.total} ${unit}${busiest}`);
+}
+
+// Branch and author choices from the loaded commits; keeps the selection when it still exists
+function updateActivityFilters() {
+    const authors = [...new Set(state.commits.map(c => c.author).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    fillActivitySelect('activity-branch', 'All branches', state.branches.map(b => b.name));
+    fillActivitySelect('activity-author', 'All authors', authors);
+}
+
+function fillActivitySelect(id, allLabel, values) {
+    const select = document.getElementById(id);
+    const selected = select.value;
+
+    select.replaceChildren(new Option(allLabel, ''), ...values.map(value => new Option(value, value)));
+    select.value = values.includes(selected) ? selected : '';
+}
+
+function showActivityRange(range, author) {
+    const day = d3.timeFormat('%Y-%m-%d');
+    const lastDay = new Date(range.end - 1);
+    const date = day(range.start) === day(lastDay) ? day(range.start) : `${day(range.start)}..${day(lastDay)}`;
+
+    document.getElementById('commit-search').value = author ? `date:${date} author:"${author}"` : `date:${date}`;
+    showTab('graph');
+    runSearch();
+    setVisualizationVisibleRange(range);
+    updateViewLink();
+}
+
+// Branch Comparison
+// Pick two branches (selects, or shift-click the branch boxes in the graph) to see
+// ahead/behind counts and the common ancestor; full history also marks unique commits
+function toggleComparisonBranch(name) {
+    const { base, compare } = state.comparison;
+
+    if (name === base) {
+        setComparisonBranches(compare, null);
+    } else if (name === compare) {
+        setComparisonBranches(base, null);
+    } else if (!base) {
+        setComparisonBranches(name, null);
+    } else if (!compare) {
+        setComparisonBranches(base, name);
+    } else {
+        setComparisonBranches(name, null); // Start a new pair
+    }
+}
+
+async function setComparisonBranches(base, compare) {
+    if (base && base === compare) compare = null;
+
+    state.comparison = { base, compare, divergence: null, ancestor: null };
+    document.getElementById('compare-base').value = base || '';
+    document.getElementById('compare-target').value = compare || '';
+    document.getElementById('compare-swap').disabled = !base || !compare;
+    document.getElementById('compare-clear').disabled = !base && !compare;
+
+    setVisualizationComparison(base || compare ? { base, compare, ancestor: null } : null);
+    renderComparison();
+
+    if (base && compare) {
+        await runComparison(base, compare);
+    } else {
+        updateStatus('compare-status', base ? 'Shift-click a second branch to compare' : '');
+    }
+}
+
+async function runComparison(base, compare) {
+    updateStatus('compare-status', 'Comparing...');
+
+    const branchesUrl = `${API_URL}/api/repositories/${state.repositoryId}/branches`;
+
+    try {
+        const [divergenceResponse, ancestorResponse] = await Promise.all([
+            fetch(`${branchesUrl}/divergence?baseBranch=${encodeURIComponent(base)}&compareBranch=${encodeURIComponent(compare)}`),
+            fetch(`${branchesUrl}/common-ancestor?branch1=${encodeURIComponent(base)}&branch2=${encodeURIComponent(compare)}`)
+        ]);
+
+        if (!divergenceResponse.ok) {
+            throw await ApiError.read(divergenceResponse, 'Failed to compare branches');
+        }
+        const divergence = await divergenceResponse.json();
+
+        // Unrelated histories have no common ancestor - still show the counts
+        let ancestor = null;
+        if (ancestorResponse.ok) {
+            const { commonAncestorSha } = await ancestorResponse.json();
+            ancestor = state.commits.find(c => c.sha === commonAncestorSha) ||
+                await fetchCommit(commonAncestorSha);
+        } else {
+            const error = await ApiError.read(ancestorResponse, 'Failed to find common ancestor');
+            if (error.code !== 'NoCommonAncestor') throw error;
+        }
+
+        // Ignore results for a pair that is no longer selected
+        if (state.comparison.base !== base || state.comparison.compare !== compare) return;
+
+        state.comparison.divergence = divergence;
+        state.comparison.ancestor = ancestor;
+        setVisualizationComparison({ base, compare, ancestor });
+        renderComparison();
+        updateStatus('compare-status', '');
+    } catch (err) {
+        if (state.comparison.base !== base || state.comparison.compare !== compare) return;
+        console.error('Comparison error:', err);
+        updateStatus('compare-status', `Error: ${err.message}`, true);
+    }
+}
+
+async function fetchCommit(sha) {
+    const response = await fetch(
+        `${API_URL}/api/repositories/${state.repositoryId}/commits/${encodeURIComponent(sha)}`
+    );
+    if (!response.ok) {
+        throw await ApiError.read(response, 'Failed to load commit');
+    }
+    return response.json();
+}
+
+function renderComparison() {
+    const summary = document.getElementById('compare-summary');
+    summary.replaceChildren();
+
+    const { base, compare, divergence, ancestor } = state.comparison;
+    if (!divergence) return;
+
+    const counts = document.createElement('div');
+    const compareName = document.createElement('span');
+    compareName.className = 'compare-side-target';
+    compareName.textContent = compare;
+    const baseName = document.createElement('span');
+    baseName.className = 'compare-side-base';
+    baseName.textContent = base;
+    counts.append(
+        compareName,
+        ` is ${divergence.commitsAhead} ahead, ${divergence.commitsBehind} behind `,
+        baseName
+    );
+    summary.appendChild(counts);
+
+    if (ancestor) {
+        const link = document.createElement('button');
+        link.className = 'compare-ancestor-link';
+        link.textContent = `Common ancestor ${ancestor.sha.substring(0, 7)} · ${new Date(ancestor.timestamp).toLocaleDateString()}`;
+        link.addEventListener('click', () => {
+            focusVisualizationCommit(ancestor.sha);
+            showCommitDetail(ancestor);
+        });
+        summary.appendChild(link);
+    } else {
+        summary.append('No common ancestor');
+    }
+
+    if (!state.fullHistory) {
+        const hint = document.createElement('div');
+        hint.className = 'status-line';
+        hint.textContent = 'Turn on full history to mark the commits unique to each side';
+        summary.appendChild(hint);
+    }
+}
+
+// Offer the displayed branches; drop a selection that is no longer displayed
+function updateComparisonOptions() {
+    const names = state.branches.map(b => b.name);
+
+    ['compare-base', 'compare-target'].forEach(id => {
+        const select = document.getElementById(id);
+        select.replaceChildren(new Option('—', ''), ...names.map(name => new Option(name, name)));
+    });
+
+    const { base, compare } = state.comparison;
+    setComparisonBranches(names.includes(base) ? base : null, names.includes(compare) ? compare : null);
+}
+
+// Commit Search
+// Matches update as you type; Enter / Next pans the graph to the next match
+function runSearch() {
+    const query = document.getElementById('commit-search').value.trim();
+    const search = CommitSearch.parse(query);
+    const previousSha = state.search.results[state.search.index]?.sha;
+
+    // An unreadable query clears the previous matches like an empty one, keeping the error shown
+    if (search.error || CommitSearch.isEmpty(search)) {
+        state.search = { query: '', results: [], index: -1 };
+        setVisualizationSearchMatches(null);
+        renderSearchResults();
+        updateStatus('search-status', search.error || '', Boolean(search.error));
+        return;
+    }
+
+    const results = state.commits
+        .filter(commit => CommitSearch.matches(commit, search))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    // Keep the current match selected while new commits arrive
+    const index = query === state.search.query ? results.findIndex(c => c.sha === previousSha) : -1;
+    state.search = { query, results, index };
+
+    setVisualizationSearchMatches(new Set(results.map(c => c.sha)));
+    renderSearchResults();
+    updateSearchStatus();
+
+    const sha = CommitSearch.getShaCandidate(search);
+    if (results.length === 0 && sha) {
+        lookupCommit(query, sha);
+    }
+}
+
+function stepSearch(direction) {
+    const { results, index } = state.search;
+    if (results.length === 0) return;
+
+    const next = index === -1
+        ? (direction > 0 ? 0 : results.length - 1)
+        : (index + direction + results.length) % results.length;
+    selectSearchResult(next);
+}
+
+function selectSearchResult(index) {
+    state.search.index = index;
+    const commit = state.search.results[index];
+
+    if (!commit.notInGraph) {
+        focusVisualizationCommit(commit.sha);
+    }
+    showCommitDetail(commit);
+    renderSearchResults();
+    updateSearchStatus();
+}
+
+// The overview only has significant commits - ask the server for anything else
+async function lookupCommit(query, sha) {
+    if (!state.repositoryId) return;
+
+    updateStatus('search-status', 'Not in graph, looking up commit...');
+
+    try {
+        const commit = await fetchCommit(sha);
+
+        // Ignore responses for a query that has since changed
+        if (state.search.query !== query) return;
+
+        state.search.results = [{ ...commit, notInGraph: true }];
+        selectSearchResult(0);
+    } catch (err) {
+        if (state.search.query !== query) return;
+        if (err.code === 'CommitNotFound') {
+            updateStatus('search-status', 'No matches');
+            return;
+        }
+        console.error('Commit lookup error:', err);
+        setVisualizationSearchMatches(null);
+        updateStatus('search-status', `Error: ${err.message}`, true);
+    }
+}
+
+function updateSearchStatus() {
+    const { results, index } = state.search;
+    const inGraph = results.length > 0 && results[0].notInGraph ? ' (not in graph)' : '';
+    const message = results.length === 0
+        ? 'No matches'
+        : index === -1
+            ? `${results.length} match${results.length === 1 ? '' : 'es'}${inGraph}`
+            : `${index + 1} / ${results.length}${inGraph}`;
+
+    updateStatus('search-status', message);
+    document.getElementById('search-prev').disabled = results.length === 0;
+    document.getElementById('search-next').disabled = results.length === 0;
+}
+
+function renderSearchResults() {
+    const list = document.getElementById('search-results');
+    list.replaceChildren();
+
+    state.search.results.forEach((commit, i) => {
+        const item = document.createElement('button');
+        item.className = i === state.search.index ? 'search-result active' : 'search-result';
+        item.addEventListener('click', () => selectSearchResult(i));
+
+        const sha = document.createElement('span');
+        sha.className = 'search-result-sha';
+        sha.textContent = commit.sha.substring(0, 7);
+
+        const message = document.createElement('span');
+        message.className = 'search-result-message';
+        message.textContent = commit.shortMessage || commit.message || '';
+
+        const meta = document.createElement('span');
+        meta.className = 'search-result-meta';
+        meta.textContent = `${commit.author || ''} · ${new Date(commit.timestamp).toLocaleDateString()}`;
+
+        item.append(sha, message, meta);
+        list.appendChild(item);
+    });
+
+    list.querySelector('.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+// Deep Links
+// The URL mirrors the view (see view-link.js). Filter, layout and selection changes add
+// history entries; zooming, replay window and speed update the current entry.
+let restoringView = false;
+
+function getViewState() {
+    return {
+        repositoryId: state.repositoryId,
+        branches: state.branchPattern,
+        layoutMode: state.layoutMode,
+        fullHistory: state.fullHistory,
+        zoom: getVisualizationVisibleRange(),
+        replayWindow: state.replayWindow,
+        speed: state.replaySpeed,
+        commit: state.selectedCommitSha
+    };
+}
+
+function updateViewLink({ push = false } = {}) {
+    if (restoringView) return;
+    ViewLink.write(getViewState(), { push });
+}
+
+async function restoreView(view) {
+    // Only reload when the data changes - layout, zoom and selection are applied in place
+    const needsLoad = view.repositoryId !== state.repositoryId ||
+        view.branches !== state.branchPattern ||
+        view.fullHistory !== state.fullHistory ||
+        state.commits.length === 0;
+
+    restoringView = true;
+    try {
+        // Controls first, so loadRepository picks them up
+        document.getElementById('branch-pattern').value = view.branches;
+
+        state.fullHistory = view.fullHistory;
+        document.getElementById('full-history-toggle').checked = view.fullHistory;
+        document.getElementById('canvas-title').textContent = state.fullHistory ? 'Full History' : 'Branch Overview';
+
+        const layoutChanged = view.layoutMode !== state.layoutMode;
+        state.layoutMode = view.layoutMode;
+        document.getElementById('layout-mode').value = view.layoutMode;
+        document.getElementById('author-panel').classList.toggle('hidden', state.layoutMode !== 'authors');
+
+        state.replaySpeed = view.speed;
+        document.getElementById('speed-slider').value = view.speed;
+        document.getElementById('speed-display').textContent = `${view.speed.toFixed(1)}x`;
+
+        if (!view.repositoryId) {
+            if (state.repositoryId) {
+                clearRepositoryState();
+                state.repositoryId = null;
+                updateStatus('repo-status', '');
+            }
+            return;
+        }
+
+        if (view.repositoryId !== state.repositoryId) {
+            updateStatus('repo-status', 'Loading repository...');
+
+            const response = await fetch(`${API_URL}/api/repository/${encodeURIComponent(view.repositoryId)}`);
+            if (!response.ok) {
+                throw await ApiError.read(response, 'Failed to load repository');
+            }
+
+            const repo = await response.json();
+            if (state.repositoryId) {
+                await leaveRepository();
+                clearRepositoryState();
+            }
+
+            state.repositoryId = repo.id;
+            rememberRepository(repo);
+            document.getElementById('repo-url').value = repo.url;
+            updateStatus('repo-status', `Loaded: ${repo.defaultBranch} (${repo.totalCommits} commits)`);
+            updateStats(repo);
+            resumeMonitoring();
+        }
+
+        if (needsLoad) {
+            await loadRepository();
+        } else if (layoutChanged) {
+            relayoutVisualization();
+        }
+
+        const replayRange = view.replayWindow ? [view.replayWindow.start, view.replayWindow.end] : null;
+        setVisualizationReplayWindow(replayRange);
+        setReplayWindow(replayRange);
+
+        if (view.zoom) {
+            setVisualizationVisibleRange(view.zoom);
+        } else {
+            resetVisualizationZoom();
+        }
+
+        if (view.commit) {
+            showCommitDetail(view.commit);
+            if (!view.zoom) focusVisualizationCommit(view.commit);
+        } else {
+            hideCommitDetail();
+        }
+    } catch (err) {
+        console.error('Restore view error:', err);
+        updateStatus('repo-status', `Error: ${err.message}`, true);
+    } finally {
+        restoringView = false;
+    }
+}
+
+// Author Swimlanes
+function setLayoutMode(event) {
+    state.layoutMode = event.target.value;
+    document.getElementById('author-panel').classList.toggle('hidden', state.layoutMode !== 'authors');
+    relayoutVisualization();
+    renderBranchList();
+    updateViewLink({ push: true });
+}
+
+function applyAuthorGroups() {
+    state.authorGroups = document.getElementById('author-groups').value;
+    state.hiddenAuthors = new Set(); // Lane keys change when groups change
+    relayoutVisualization();
+
+    const groupCount = AuthorModel.parseGroups(state.authorGroups).length;
+    updateStatus('author-status', groupCount > 0 ? `${groupCount} group(s) applied` : 'No groups');
+}
+
+function toggleAuthorLane(key, visible) {
+    if (visible) {
+        state.hiddenAuthors.delete(key);
+    } else {
+        state.hiddenAuthors.add(key);
+    }
+    relayoutVisualization();
+}
+
+// Called by the visualization whenever it rebuilds the author lanes
+function updateAuthorLegend(lanes) {
+    const legend = document.getElementById('author-legend');
+    legend.replaceChildren();
+
+    lanes.forEach(lane => {
+        const item = document.createElement('label');
+        item.className = 'author-legend-item';
+        item.title = [...lane.names, ...lane.emails].join('\n');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !state.hiddenAuthors.has(lane.key);
+        checkbox.addEventListener('change', () => toggleAuthorLane(lane.key, checkbox.checked));
+
+        const swatch = document.createElement('span');
+        swatch.className = 'author-swatch';
+        swatch.style.background = lane.color;
+
+        const name = document.createElement('span');
+        name.className = 'author-name';
+        name.textContent = lane.label;
+
+        const count = document.createElement('span');
+        count.className = 'author-count';
+        count.textContent = lane.commitCount;
+
+        item.append(checkbox, swatch, name, count);
+        legend.appendChild(item);
+    });
+}
+
+async function applyBranchFilter() {
+    if (!state.repositoryId) return;
+
+    try {
+        // Refresh the branch list so new branches are picked up by the filter
+        await fetchAvailableBranches();
+        await loadRepository();
+        
+    } catch (err) {
+        console.error('Filter error:', err);
+    }
+}
+
+async function fetchAvailableBranches() {
+    const response = await fetch(`${API_URL}/api/repositories/${state.repositoryId}/branches`);
+    if (!response.ok) {
+        throw await ApiError.read(response, 'Failed to load branches');
+    }
+
+    state.availableBranches = await response.json();
+    updateBranchFilterPreview();
+    renderBranchList();
+}
+
+// Exact names selected by the applied filter, or null when every branch is included
+function getFilteredBranchNames() {
+    if (BranchFilter.isEmpty(state.branchFilter)) return null;
+    return BranchFilter.resolve(state.availableBranches.map(b => b.name), state.branchFilter);
+}
+
+function commitMatchesBranchFilter(commit) {
+    if (BranchFilter.isEmpty(state.branchFilter)) return true;
+    return (commit.branches || []).some(name => BranchFilter.matches(name, state.branchFilter));
+}
+
+// Live preview of the branches the typed (not yet applied) filter selects
+function updateBranchFilterPreview() {
+    const preview = document.getElementById('branch-filter-preview');
+    const filter = BranchFilter.parse(document.getElementById('branch-pattern').value);
+    const allNames = state.availableBranches.map(b => b.name);
+
+    if (allNames.length === 0) {
+        preview.textContent = '';
+        preview.title = '';
+        return;
+    }
+
+    const names = BranchFilter.resolve(allNames, filter);
+    const maxShown = 6;
+    const shown = names.slice(0, maxShown).join(', ');
+    const more = names.length > maxShown ? `, +${names.length - maxShown} more` : '';
+
+    updateStatus(
+        'branch-filter-preview',
+        names.length === 0 ? `No matches (0 of ${allNames.length})` : `${names.length} of ${allNames.length}: ${shown}${more}`,
+        names.length === 0
+    );
+    preview.title = names.join('\n');
+}
+
+// Export Operations
+async function exportGraph() {
+    if (state.commits.length === 0 && state.replayCommits.length === 0) {
+        updateStatus('export-status', 'Nothing to export', true);
+        return;
+    }
+
+    const format = document.getElementById('export-format').value;
+    const date = new Date().toISOString().slice(0, 10);
+
+    try {
+        updateStatus('export-status', 'Exporting...');
+        await GraphExport.exportGraph({
+            format,
+            scale: parseInt(document.getElementById('export-scale').value),
+            fullTimeline: document.getElementById('export-full-timeline').checked,
+            fileName: `lanius-${state.repositoryId || 'graph'}-${date}`
+        });
+        updateStatus('export-status', `Exported ${format.toUpperCase()}`);
+    } catch (err) {
+        console.error('Export error:', err);
+        updateStatus('export-status', `Export failed: ${err.message}`, true);
+    }
+}
+
+// Replay Operations
+async function startReplay() {
+    if (!state.repositoryId) {
+        updateStatus('replay-status', 'Clone a repository first', true);
+        return;
+    }
+
+    const branchNames = getFilteredBranchNames();
+    if (branchNames && branchNames.length === 0) {
+        updateStatus('replay-status', 'No branches match the filter', true);
+        return;
+    }
+
+    try {
+        updateStatus('replay-status', 'Starting replay...');
+        
+        const response = await fetch(
+            `${API_URL}/api/repositories/${state.repositoryId}/replay/start`,
+            {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    speed: state.replaySpeed,
+                    startDate: state.replayWindow?.start.toISOString(),
+                    endDate: state.replayWindow?.end.toISOString(),
+                    branches: branchNames ?? undefined
+                })
+            }
+        );
+
+        if (!response.ok) {
+            throw await ApiError.read(response, 'Failed to start replay');
+        }
+
+        const session = await response.json();
+        // The window or the branch filter can leave nothing to play
+        if (session.totalCommits === 0) {
+            await discardReplaySession(session.sessionId);
+            updateStatus('replay-status', state.replayWindow
+                ? 'No commits to replay in the selected window and branches'
+                : 'No commits to replay on the selected branches', true);
+            return;
+        }
+
+        state.replaySessionId = session.sessionId;
+        state.replayEnded = false;
+        state.replayTotalCommits = session.totalCommits;
+        state.replayCommits = [];
+        state.replayPaused = false;
+
+        // Clear visualization for replay
+        clearVisualization();
+        renderReplayState([]);
+        state.statistics.reset();
+        renderStatistics();
+        updateReplayProgress();
+
+        // Subscribe to replay stream
+        await state.connection.invoke('SubscribeToReplay', session.sessionId);
+        
+        updateStatus('replay-status', `Playing ${session.totalCommits} commits at ${state.replaySpeed}x`);
+        setReplayButtonState(true);
+        
+        if (document.getElementById('replay-record').checked) {
+            startRecording();
+        }
+        
+    } catch (err) {
+        console.error('Replay start error:', err);
+        updateStatus('replay-status', `Failed to start replay: ${err.message}`, true);
+    }
+}
+
+// End a session that was started but won't be played, on the server and in the hub group
+async function discardReplaySession(sessionId) {
+    try {
+        await fetch(
+            `${API_URL}/api/repositories/${state.repositoryId}/replay/${sessionId}/stop`,
+            { method: 'POST' }
+        );
+        if (state.connection.state === signalR.HubConnectionState.Connected) {
+            await state.connection.invoke('UnsubscribeFromReplay', sessionId);
+        }
+    } catch (err) {
+        console.error('Discard replay error:', err);
+    }
+}
+
+// Called by the visualization when a date range is brushed on the timeline (null when cleared)
+function setReplayWindow(range) {
+    state.replayWindow = range ? { start: range[0], end: range[1] } : null;
+    updateViewLink();
+
+    const label = document.getElementById('replay-window');
+    const clearButton = document.getElementById('replay-window-clear');
+    const formatDate = d3.timeFormat('%b %d, %Y');
+
+    if (state.replayWindow) {
+        label.textContent = `Window: ${formatDate(state.replayWindow.start)} – ${formatDate(state.replayWindow.end)}`;
+        clearButton.hidden = false;
+    } else {
+        label.textContent = 'Window: all history';
+        clearButton.hidden = true;
+    }
+}
+
+async function pauseReplay() {
+    if (!state.replaySessionId) return;
+
+    try {
+        await fetch(
+            `${API_URL}/api/repositories/${state.repositoryId}/replay/${state.replaySessionId}/pause`,
+            { method: 'POST' }
+        );
+        state.replayPaused = true;
+        ReplayRecorder.pause();
         updateStatus('replay-status', 'Paused');
         document.getElementById('replay-pause').disabled = true;
         document.getElementById('replay-resume').disabled = false;
@@ -348,6 +2021,8 @@ async function resumeReplay() {
             `${API_URL}/api/repositories/${state.repositoryId}/replay/${state.replaySessionId}/resume`,
             { method: 'POST' }
         );
+        state.replayPaused = false;
+        ReplayRecorder.resume();
         updateStatus('replay-status', 'Playing');
         document.getElementById('replay-pause').disabled = false;
         document.getElementById('replay-resume').disabled = true;
@@ -367,9 +2042,15 @@ async function stopReplay() {
         
         await state.connection.invoke('UnsubscribeFromReplay', state.replaySessionId);
         
+        // Finish the video before the overview is redrawn
+        await stopRecording();
+        
         state.replaySessionId = null;
+        state.replayCommits = [];
+        state.replayTotalCommits = 0;
         updateStatus('replay-status', 'Stopped');
         setReplayButtonState(false);
+        updateReplayProgress();
         
         // Reload full visualization
         await loadRepository();
@@ -379,7 +2060,169 @@ async function stopReplay() {
     }
 }
 
+// Recording
+function toggleRecording(event) {
+    if (!state.replaySessionId) return; // Starts with the next replay
+    
+    if (event.target.checked) {
+        startRecording();
+    } else {
+        stopRecording();
+    }
+}
+
+function startRecording() {
+    if (ReplayRecorder.isRecording()) return;
+
+    const date = new Date().toISOString().slice(0, 10);
+    try {
+        ReplayRecorder.start({
+            getOverlay: getRecordingOverlay,
+            fileName: `lanius-replay-${state.repositoryId}-${date}`
+        });
+        if (state.replayPaused) ReplayRecorder.pause();
+        document.getElementById('replay-record-label').classList.add('recording');
+    } catch (err) {
+        console.error('Recording error:', err);
+        document.getElementById('replay-record').checked = false;
+        updateStatus('replay-status', `Recording failed: ${err.message}`, true);
+    }
+}
+
+async function stopRecording() {
+    if (!ReplayRecorder.isRecording()) return;
+
+    document.getElementById('replay-record-label').classList.remove('recording');
+    try {
+        await ReplayRecorder.stop();
+    } catch (err) {
+        console.error('Recording error:', err);
+        updateStatus('replay-status', `Recording failed: ${err.message}`, true);
+    }
+}
+
+// Date of the latest replayed commit plus running totals, drawn on each video frame
+function getRecordingOverlay() {
+    const latest = state.replayCommits[state.replayCommits.length - 1];
+    const { linesAdded, linesRemoved } = state.statistics.getTotals();
+
+    return {
+        date: latest ? d3.timeFormat('%b %d, %Y')(new Date(latest.timestamp)) : '-',
+        lines: [
+            `${state.replayCommits.length} / ${state.replayTotalCommits} commits`,
+            `+${linesAdded} -${linesRemoved} lines`
+        ]
+    };
+}
+
+// Apply the speed slider to a running session
+async function setReplaySpeed(speed) {
+    if (!state.replaySessionId) return;
+
+    try {
+        const response = await fetch(
+            `${API_URL}/api/repositories/${state.repositoryId}/replay/${state.replaySessionId}/speed`,
+            {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(speed)
+            }
+        );
+
+        if (!response.ok) {
+            throw await ApiError.read(response, 'Failed to change speed');
+        }
+
+        updateStatus('replay-status', `${state.replayPaused ? 'Paused' : 'Playing'} at ${speed.toFixed(1)}x`);
+    } catch (err) {
+        console.error('Speed change error:', err);
+        updateStatus('replay-status', `Error: ${err.message}`, true);
+    }
+}
+
+// Seek to a commit index: the graph is rebuilt up to that commit and playback continues from there.
+// The session is paused while seeking so no commits arrive between the seek and the rebuild.
+async function seekReplay(index) {
+    if (!canSeekReplay()) return;
+
+    const baseUrl = `${API_URL}/api/repositories/${state.repositoryId}/replay/${state.replaySessionId}`;
+    const wasPlaying = !state.replayPaused;
+    state.replaySeeking = true;
+
+    try {
+        updateStatus('replay-status', `Seeking to commit ${index}...`);
+
+        if (wasPlaying) {
+            await fetch(`${baseUrl}/pause`, { method: 'POST' });
+        }
+
+        const response = await fetch(`${baseUrl}/seek`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(index)
+        });
+
+        if (!response.ok) {
+            throw await ApiError.read(response, 'Seek failed');
+        }
+
+        const session = await response.json();
+        state.replayTotalCommits = session.totalCommits;
+
+        // Fetch commits between what was played and the seek point
+        const played = state.replayCommits.length;
+        if (index > played) {
+            const commitsResponse = await fetch(`${baseUrl}/commits?skip=${played}&take=${index - played}`);
+            if (!commitsResponse.ok) {
+                throw await ApiError.read(commitsResponse, 'Failed to load replay commits');
+            }
+            state.replayCommits.push(...await commitsResponse.json());
+        }
+
+        state.replayCommits = state.replayCommits.slice(0, index);
+        renderReplayState(state.replayCommits);
+        state.statistics.reset(state.replayCommits);
+        renderStatistics();
+
+        if (wasPlaying) {
+            await fetch(`${baseUrl}/resume`, { method: 'POST' });
+        }
+
+        updateStatus('replay-status', `${wasPlaying ? 'Playing' : 'Paused'} from commit ${index}`);
+    } catch (err) {
+        console.error('Seek error:', err);
+        updateStatus('replay-status', `Error: ${err.message}`, true);
+    } finally {
+        state.replaySeeking = false;
+        updateReplayProgress();
+    }
+}
+
+// A finished session is gone from the server's point of view: seeking it returns 400
+function canSeekReplay() {
+    return Boolean(state.replaySessionId) && !state.replayEnded && !state.replaySeeking;
+}
+
+function updateReplayProgress(previewIndex = null) {
+    const scrubber = document.getElementById('replay-scrubber');
+    const total = state.replayTotalCommits;
+    const played = previewIndex ?? state.replayCommits.length;
+
+    scrubber.max = total;
+    scrubber.disabled = !state.replaySessionId || state.replayEnded || total === 0;
+    if (!state.replayScrubbing) {
+        scrubber.value = played;
+    }
+    scrubber.style.setProperty('--progress', total > 0 ? `${(played / total) * 100}%` : '0%');
+
+    document.getElementById('replay-elapsed').textContent = `${played} / ${total}`;
+    document.getElementById('replay-remaining').textContent = `${Math.max(total - played, 0)} remaining`;
+}
+
 // Monitoring Operations
+// Monitoring runs on the server and outlives this page: the dashboard can watch several
+// repositories at once. Leaving a repository only ends this page's subscription; the
+// repository list marks the ones still monitored.
 async function startMonitoring() {
     if (!state.repositoryId) return;
 
@@ -390,10 +2233,8 @@ async function startMonitoring() {
         );
         
         await state.connection.invoke('SubscribeToRepository', state.repositoryId);
-        
-        updateStatus('monitor-status', 'Monitoring active (5s polling)');
-        document.getElementById('monitor-start').disabled = true;
-        document.getElementById('monitor-stop').disabled = false;
+        setMonitoring(true);
+        setMonitored(state.repositoryId, true);
         
     } catch (err) {
         console.error('Monitor start error:', err);
@@ -410,24 +2251,148 @@ async function stopMonitoring() {
         );
         
         await state.connection.invoke('UnsubscribeFromRepository', state.repositoryId);
-        
+        setMonitoring(false);
+        setMonitored(state.repositoryId, false);
         updateStatus('monitor-status', 'Monitoring stopped');
-        document.getElementById('monitor-start').disabled = false;
-        document.getElementById('monitor-stop').disabled = true;
         
     } catch (err) {
         console.error('Monitor stop error:', err);
     }
 }
 
+// Follow a repository the server already monitors (started earlier or from the dashboard)
+async function resumeMonitoring() {
+    try {
+        const response = await fetch(`${API_URL}/api/monitoring`);
+        if (!response.ok) {
+            throw await ApiError.read(response, 'Failed to load monitored repositories');
+        }
+
+        const monitored = await response.json();
+        state.monitoredIds = new Set(monitored);
+        renderRepositoryList();
+        if (!monitored.includes(state.repositoryId)) return;
+
+        // Before the hub connects, connectSignalR subscribes once it is up
+        if (state.connection.state === signalR.HubConnectionState.Connected) {
+            await state.connection.invoke('SubscribeToRepository', state.repositoryId);
+        }
+        setMonitoring(true);
+    } catch (err) {
+        console.error('Monitor resume error:', err);
+    }
+}
+
+function setMonitoring(active) {
+    state.monitoring = active;
+    if (active) {
+        updateStatus('monitor-status', 'Monitoring active (5s polling)');
+    }
+    document.getElementById('monitor-start').disabled = active;
+    document.getElementById('monitor-stop').disabled = !active;
+}
+
 // SignalR Event Handlers
-function handleNewCommits(commits) {
-    console.log('New commits received:', commits);
+// Returns the number of commits added; ones already on screen (by SHA) are skipped.
+// repositoryId is sent by the server; broadcasts for a repository left meanwhile are ignored.
+function handleNewCommits(allCommits, repositoryId = state.repositoryId) {
+    console.log('New commits received:', allCommits);
+    if (repositoryId !== state.repositoryId) return 0;
+
+    const known = new Set(state.commits.map(c => c.sha));
+    const commits = allCommits.filter(c => !known.has(c.sha) && commitMatchesBranchFilter(c));
+    if (commits.length === 0) return 0;
+
+    const wasEmpty = state.commits.length === 0;
+    commits.forEach(commit => state.commits.unshift(commit));
+    const newBranches = addLiveBranches(commits);
+
+    // The graph grows in place; an empty one has no timeline to grow yet
+    if (wasEmpty) {
+        renderVisualization();
+    } else {
+        addVisualizationCommits(commits);
+    }
+    if (newBranches.length > 0) {
+        renderBranchList();
+        updateComparisonOptions();
+    }
+    updateCanvasInfo(`${state.commits.length} commits (${commits.length} new)`);
+    addToLiveFeed(commits);
+
+    commits.forEach(commit => state.statistics.add(commit));
+    scheduleStatistics();
+
+    if (state.search.query) runSearch();
+    if (state.activeTab === 'activity') renderActivity();
+    return commits.length;
+}
+
+// Branches of incoming commits that match the filter but have no lane yet (pushed since loading)
+function addLiveBranches(commits) {
+    const known = new Set(state.branches.map(b => b.name));
+    const added = [];
+
     commits.forEach(commit => {
-        state.commits.unshift(commit);
-        animateNewCommit(commit);
+        (commit.branches || []).forEach(name => {
+            if (known.has(name)) return;
+            if (!BranchFilter.isEmpty(state.branchFilter) && !BranchFilter.matches(name, state.branchFilter)) return;
+
+            known.add(name);
+            added.push({ name, tipSha: commit.sha, timestamp: commit.timestamp });
+        });
     });
-    updateCanvasInfo(`${state.commits.length} commits (${commits.length} new)`);
+
+    state.branches.push(...added);
+    return added;
+}
+
+// Live Feed
+// Commits pushed while monitoring, newest first; clicking one jumps to it in the graph.
+const liveFeedSize = 100;
+
+function addToLiveFeed(commits) {
+    const receivedAt = new Date();
+    const entries = commits
+        .slice()
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .map(commit => ({ commit, receivedAt }));
+
+    state.liveFeed = [...entries, ...state.liveFeed].slice(0, liveFeedSize);
+    renderLiveFeed();
+}
+
+function renderLiveFeed() {
+    const list = document.getElementById('live-feed');
+    list.replaceChildren(...state.liveFeed.map(({ commit, receivedAt }) => {
+        const item = document.createElement('button');
+        item.className = 'live-feed-item';
+        item.title = `Pushed ${receivedAt.toLocaleString()}`;
+        item.addEventListener('click', () => showLiveFeedCommit(commit));
+
+        const sha = document.createElement('span');
+        sha.className = 'search-result-sha';
+        sha.textContent = commit.sha.substring(0, 7);
+
+        const message = document.createElement('span');
+        message.className = 'search-result-message';
+        message.textContent = commit.shortMessage || commit.message || '';
+
+        const meta = document.createElement('span');
+        meta.className = 'search-result-meta';
+        meta.textContent = [commit.author, commit.branches?.[0], Format.relativeTime(receivedAt)]
+            .filter(Boolean)
+            .join(' · ');
+
+        item.append(sha, message, meta);
+        return item;
+    }));
+}
+
+function showLiveFeedCommit(commit) {
+    showTab('graph');
+    focusVisualizationCommit(commit.sha);
+    showCommitDetail(commit);
 }
 
 function handleRepositoryUpdated(repo) {
@@ -437,34 +2402,163 @@ function handleRepositoryUpdated(repo) {
 
 function handleReplayCommit(commit) {
     console.log('Replay commit:', commit);
+    
+    // Commits emitted around a seek are replaced by the rebuilt state
+    if (state.replaySeeking) return;
+
+    if (state.replayBuffer) {
+        state.replayBuffer.push(commit);
+        return;
+    }
+    
+    state.replayCommits.push(commit);
     animateReplayCommit(commit);
+    state.statistics.add(commit);
+    scheduleStatistics();
+    updateReplayProgress();
+    announce(`Commit ${state.replayCommits.length} of ${state.replayTotalCommits}: ${commit.shortMessage} by ${commit.author}`,
+        { throttled: true });
 }
 
 function handleReplayCompleted(data) {
     console.log('Replay completed:', data);
     updateStatus('replay-status', 'Replay completed');
+    state.replayEnded = true;
     setReplayButtonState(false);
+    updateReplayProgress();
+    stopRecording();
+}
+
+function handleHubError(error) {
+    if (error.repositoryId && error.repositoryId !== state.repositoryId) return;
+
+    console.error('Server error:', error);
+    updateStatus('monitor-status', `Error: ${error.message}`, true);
 }
 
 function handleReplayError(error) {
     console.error('Replay error:', error);
     updateStatus('replay-status', `Error: ${error.message}`, true);
+    state.replayEnded = true;
     setReplayButtonState(false);
+    updateReplayProgress();
+    stopRecording();
 }
 
 // UI Helper Functions
 function updateStatus(elementId, message, isError = false) {
     const element = document.getElementById(elementId);
     element.textContent = message;
-    element.style.color = isError ? '#d32f2f' : 'var(--fg-tertiary)';
+    element.style.color = isError ? 'var(--color-error)' : 'var(--fg-tertiary)';
+}
+
+// Screen reader announcements through the graph's live region.
+// Throttled messages (replay commits, which can arrive several a second) are read at most
+// every announceInterval, latest first, so the reader doesn't fall behind the replay.
+const announceInterval = 2000;
+let announceTimer = null;
+let pendingAnnouncement = null;
+
+function announce(message, { throttled = false } = {}) {
+    const region = document.getElementById('graph-announcer');
+
+    if (!throttled) {
+        region.textContent = message;
+        return;
+    }
+
+    if (announceTimer) {
+        pendingAnnouncement = message;
+        return;
+    }
+
+    region.textContent = message;
+    announceTimer = setInterval(() => {
+        if (pendingAnnouncement === null) {
+            clearInterval(announceTimer);
+            announceTimer = null;
+            return;
+        }
+        region.textContent = pendingAnnouncement;
+        pendingAnnouncement = null;
+    }, announceInterval);
 }
 
 function updateStats(repo) {
     state.stats.totalCommits = repo.totalCommits;
     state.stats.totalBranches = repo.totalBranches;
     
-    document.getElementById('stat-commits').textContent = repo.totalCommits;
     document.getElementById('stat-branches').textContent = repo.totalBranches;
+    renderStatistics();
+}
+
+// Statistics
+// Totals come from the statistics model; during replay the commit count is the replayed commits.
+// The weekly charts cover the graph's visible range and follow zooming.
+const statisticsPalette = d3.scaleOrdinal(d3.schemeTableau10);
+const statisticsInterval = 250; // Minimum milliseconds between chart redraws while commits stream in or the view pans
+let statisticsTimer = null;
+
+function renderStatistics() {
+    clearTimeout(statisticsTimer);
+    statisticsTimer = null;
+
+    renderStatisticsTotals();
+    renderStatisticsCharts();
+}
+
+// Totals right away, charts at most every statisticsInterval (replayed and live commits, zoom and pan)
+function scheduleStatistics() {
+    renderStatisticsTotals();
+    if (statisticsTimer) return;
+
+    statisticsTimer = setTimeout(() => {
+        statisticsTimer = null;
+        renderStatisticsCharts();
+    }, statisticsInterval);
+}
+
+function renderStatisticsTotals() {
+    const totals = state.statistics.getTotals();
+    document.getElementById('stat-commits').textContent = state.replaySessionId ? totals.commits : state.stats.totalCommits;
+    document.getElementById('stat-additions').textContent = `+${totals.linesAdded}`;
+    document.getElementById('stat-deletions').textContent = `-${totals.linesRemoved}`;
+}
+
+function renderStatisticsCharts() {
+    const breakdown = document.getElementById('stats-breakdown').value;
+    const range = getVisualizationVisibleRange();
+    const weekly = state.statistics.getWeekly({ breakdown, range });
+    const branchColors = breakdown === 'branch' ? getVisualizationBranchColors() : null;
+    statisticsPalette.range(Theme.get().chartPalette);
+    const options = {
+        colorOf: key => branchColors?.get(key) || statisticsPalette(key),
+        onSelectWeek: week => setVisualizationVisibleRange(week)
+    };
+
+    ['lines', 'commits', 'filesChanged'].forEach(metric => {
+        const legend = CommitStatistics.renderChart(document.getElementById(`stats-chart-${metric}`), weekly, { ...options, metric });
+        if (metric === 'commits') renderStatisticsLegend(legend);
+    });
+
+    const formatDate = d3.timeFormat('%b %d, %Y');
+    document.getElementById('stats-range').textContent = weekly.weeks.length === 0
+        ? ''
+        : `${weekly.weeks.length} week(s)${range ? ` in view: ${formatDate(range.start)} – ${formatDate(range.end)}` : ''}`;
+}
+
+function renderStatisticsLegend(entries) {
+    document.getElementById('stats-legend').replaceChildren(...entries.map(entry => {
+        const item = document.createElement('span');
+        item.className = 'stats-legend-item';
+
+        const swatch = document.createElement('span');
+        swatch.className = 'author-swatch';
+        swatch.style.background = entry.color;
+
+        item.append(swatch, entry.key);
+        return item;
+    }));
 }
 
 function updateCanvasInfo(text) {
@@ -478,23 +2572,103 @@ function setReplayButtonState(isPlaying) {
     document.getElementById('replay-stop').disabled = !isPlaying;
 }
 
-function showCommitDetail(commit) {
-    document.getElementById('detail-sha').textContent = commit.sha.substring(0, 8);
-    document.getElementById('detail-author').textContent = `${commit.author} <${commit.authorEmail}>`;
-    document.getElementById('detail-date').textContent = new Date(commit.timestamp).toLocaleString();
-    document.getElementById('detail-branches').textContent = commit.branches.join(', ');
-    document.getElementById('detail-message').textContent = commit.message;
-    
-    if (commit.stats) {
-        document.getElementById('detail-additions').textContent = `+${commit.stats.linesAdded}`;
-        document.getElementById('detail-deletions').textContent = `-${commit.stats.linesRemoved}`;
-        document.getElementById('detail-files').textContent = `${commit.stats.filesChanged} files`;
-    }
-    
+// Show commit details. Accepts a commit object from the graph or a SHA when navigating.
+// Renders what is already known immediately, then loads the full commit from the API.
+async function showCommitDetail(commitOrSha) {
+    const sha = typeof commitOrSha === 'string' ? commitOrSha : commitOrSha.sha;
+    const knownCommit = typeof commitOrSha === 'string'
+        ? state.commits.find(c => c.sha === sha)
+        : commitOrSha;
+
+    state.selectedCommitSha = sha;
     document.getElementById('commit-detail').classList.remove('hidden');
+    updateViewLink({ push: true });
+
+    renderCommitDetail(knownCommit || { sha });
+
+    if (!state.repositoryId) return;
+
+    setDetailStatus('Loading commit...');
+
+    try {
+        const response = await fetch(
+            `${API_URL}/api/repositories/${state.repositoryId}/commits/${encodeURIComponent(sha)}`
+        );
+
+        if (!response.ok) {
+            throw await ApiError.read(response, 'Failed to load commit');
+        }
+
+        const commit = await response.json();
+
+        // Ignore responses for a commit that is no longer selected
+        if (state.selectedCommitSha !== sha) return;
+
+        renderCommitDetail(commit);
+        setDetailStatus('');
+    } catch (err) {
+        if (state.selectedCommitSha !== sha) return;
+        console.error('Commit detail error:', err);
+        setDetailStatus(`${err.code ? `${err.code}: ` : ''}${err.message}`, true);
+    }
+}
+
+function renderCommitDetail(commit) {
+    const author = commit.author
+        ? (commit.authorEmail ? `${commit.author} <${commit.authorEmail}>` : commit.author)
+        : '';
+
+    document.getElementById('detail-sha').textContent = commit.sha;
+    document.getElementById('detail-author').textContent = author;
+    document.getElementById('detail-date').textContent = commit.timestamp
+        ? new Date(commit.timestamp).toLocaleString()
+        : '';
+    document.getElementById('detail-branches').textContent = (commit.branches || []).join(', ');
+    document.getElementById('detail-message').textContent = commit.message || commit.shortMessage || '';
+
+    // Parents come from the commit; children are only known from loaded commits
+    const children = state.commits
+        .filter(c => (c.parentShas || []).includes(commit.sha))
+        .map(c => c.sha);
+    renderCommitLinks('detail-parents', commit.parentShas || []);
+    renderCommitLinks('detail-children', children);
+
+    document.getElementById('detail-additions').textContent = commit.stats ? `+${commit.stats.linesAdded}` : '';
+    document.getElementById('detail-deletions').textContent = commit.stats ? `-${commit.stats.linesRemoved}` : '';
+    document.getElementById('detail-files').textContent = commit.stats ? `${commit.stats.filesChanged} files` : '';
+
+    // Only commits drawn in the graph can be located
+    document.getElementById('detail-locate').disabled = !state.commits.some(c => c.sha === commit.sha);
+}
+
+function renderCommitLinks(elementId, shas) {
+    const container = document.getElementById(elementId);
+    container.replaceChildren();
+
+    if (shas.length === 0) {
+        container.textContent = '—';
+        return;
+    }
+
+    shas.forEach(sha => {
+        const link = document.createElement('button');
+        link.className = 'sha-link';
+        link.textContent = sha.substring(0, 8);
+        link.title = sha;
+        link.addEventListener('click', () => showCommitDetail(sha));
+        container.appendChild(link);
+    });
+}
+
+function setDetailStatus(message, isError = false) {
+    const element = document.getElementById('detail-status');
+    element.textContent = message;
+    element.classList.toggle('error', isError);
+    element.classList.toggle('hidden', !message);
 }
 
 function hideCommitDetail() {
+    state.selectedCommitSha = null;
     document.getElementById('commit-detail').classList.add('hidden');
 }
 
@@ -502,5 +2676,12 @@ function hideCommitDetail() {
 window.LaniusApp = {
     state,
     showCommitDetail,
-    updateStats
+    announce,
+    setReplayWindow,
+    toggleComparisonBranch,
+    updateAuthorLegend,
+    updateStats,
+    renderStatistics,
+    scheduleStatistics,
+    updateViewLink
 };
@@ -0,0 +1,112 @@
+// Author Model - groups commits into author lanes for the swimlane layout
+// Identities that share a name or an email are merged ("Jane Doe <jdoe@corp>" links
+// every commit by "Jane Doe" with every commit from jdoe@corp), and configurable
+// groups collect several people into one lane.
+
+const AuthorModel = (() => {
+    // One group per line: "Group name: pattern, pattern".
+    // Patterns match the author name or email and use the branch filter syntax ("*" wildcards, "!" exclusions).
+    function parseGroups(text) {
+        return (text || '').split('\n')
+            .map(line => line.trim())
+            .filter(line => line.includes(':'))
+            .map(line => {
+                const separator = line.indexOf(':');
+                return {
+                    name: line.slice(0, separator).trim(),
+                    filter: BranchFilter.parse(line.slice(separator + 1))
+                };
+            })
+            .filter(group => group.name && !BranchFilter.isEmpty(group.filter));
+    }
+
+    function nameToken(commit) {
+        const name = (commit.author || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        return name ? `name:${name}` : null;
+    }
+
+    function emailToken(commit) {
+        const email = (commit.authorEmail || '').trim().toLowerCase();
+        return email ? `email:${email}` : null;
+    }
+
+    function findGroup(commit, groups) {
+        return groups.find(group =>
+            (commit.author && BranchFilter.matches(commit.author, group.filter)) ||
+            (commit.authorEmail && BranchFilter.matches(commit.authorEmail, group.filter)));
+    }
+
+    // Lanes ordered by first commit, so replayed lanes keep their order and colour as people appear.
+    // laneOf(commit) returns null for a commit whose author wasn't part of the build.
+    // palette: lane colours, taken in turn (the theme's chart palette)
+    function build(commits, groups = [], palette = d3.schemeTableau10) {
+        const parent = new Map();
+
+        const find = (token) => {
+            let root = token;
+            while (parent.get(root) !== root) root = parent.get(root);
+            parent.set(token, root); // Path compression
+            return root;
+        };
+
+        const union = (a, b) => {
+            [a, b].forEach(token => { if (!parent.has(token)) parent.set(token, token); });
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA !== rootB) parent.set(rootB, rootA);
+        };
+
+        commits.forEach(commit => {
+            const tokens = [nameToken(commit), emailToken(commit)].filter(Boolean);
+            if (tokens.length === 0) return;
+            union(tokens[0], tokens[tokens.length - 1]);
+        });
+
+        const laneOf = (commit) => {
+            const group = findGroup(commit, groups);
+            if (group) return `group:${group.name}`;
+
+            const token = nameToken(commit) || emailToken(commit);
+            return token && parent.has(token) ? `author:${find(token)}` : null;
+        };
+
+        const lanes = new Map();
+        commits
+            .slice()
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .forEach(commit => {
+                const key = laneOf(commit);
+                if (!key) return;
+
+                if (!lanes.has(key)) {
+                    const group = key.startsWith('group:') ? key.slice('group:'.length) : null;
+                    lanes.set(key, { key, group, commitCount: 0, nameCounts: new Map(), emails: new Set() });
+                }
+
+                const lane = lanes.get(key);
+                lane.commitCount++;
+                if (commit.author) lane.nameCounts.set(commit.author, (lane.nameCounts.get(commit.author) || 0) + 1);
+                if (commit.authorEmail) lane.emails.add(commit.authorEmail.toLowerCase());
+            });
+
+        const laneList = Array.from(lanes.values()).map((lane, i) => {
+            // People are labelled with the name they use most
+            const names = Array.from(lane.nameCounts.entries()).sort((a, b) => b[1] - a[1]).map(([name]) => name);
+            return {
+                key: lane.key,
+                label: lane.group || names[0] || Array.from(lane.emails)[0] || 'Unknown',
+                color: palette[i % palette.length],
+                commitCount: lane.commitCount,
+                names,
+                emails: Array.from(lane.emails)
+            };
+        });
+
+        return { lanes: laneList, laneOf };
+    }
+
+    return {
+        parseGroups,
+        build
+    };
+})();
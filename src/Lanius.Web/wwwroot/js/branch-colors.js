@@ -0,0 +1,127 @@
+// Branch Colours - ordered branch name rules that colour the lanes and fill the legend
+// A rule is { pattern, color, label }; the first rule matching a branch wins. Patterns use the
+// branch filter's "*" wildcards ("release/*"), or are a regular expression between slashes
+// ("/^(hot)?fix\//i"). Branches no rule matches take the theme's lane palette.
+// Rules are stored per repository in localStorage; without saved rules the theme's defaults apply.
+
+const BranchColors = (() => {
+    const storagePrefix = 'lanius.colors.';
+
+    // Coloured from the theme's ruleColors
+    const defaultRules = [
+        { key: 'main', pattern: '/^(origin\\/)?(main|master)$/', label: 'Main' },
+        { key: 'release', pattern: '*release*', label: 'Release' },
+        { key: 'feature', pattern: '*feature*', label: 'Feature' },
+        { key: 'fix', pattern: '*fix*', label: 'Fix' },
+        { key: 'dependencies', pattern: '*dependabot*', label: 'Dependencies' }
+    ];
+
+    const patternCache = new Map();
+
+    function defaults(theme) {
+        return defaultRules.map(({ key, pattern, label }) => ({ pattern, color: theme.ruleColors[key], label }));
+    }
+
+    // Saved rules, or null when the repository uses the theme's defaults
+    function load(repositoryId) {
+        if (!repositoryId) return null;
+
+        try {
+            const stored = localStorage.getItem(storagePrefix + repositoryId);
+            return stored ? parse(stored) : null;
+        } catch (err) {
+            console.warn('Could not read branch colours:', err);
+            return null;
+        }
+    }
+
+    // null removes the saved rules (back to the theme's defaults)
+    function save(repositoryId, rules) {
+        if (!repositoryId) return;
+
+        try {
+            if (rules) {
+                localStorage.setItem(storagePrefix + repositoryId, serialize(rules));
+            } else {
+                localStorage.removeItem(storagePrefix + repositoryId);
+            }
+        } catch (err) {
+            console.warn('Could not save branch colours:', err);
+        }
+    }
+
+    // Rules from JSON: { "rules": [...] } or a bare array. Throws with a readable message.
+    function parse(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch {
+            throw new Error('Not valid JSON');
+        }
+
+        const rules = Array.isArray(data) ? data : data?.rules;
+        if (!Array.isArray(rules)) {
+            throw new Error('Expected a "rules" list');
+        }
+
+        return rules.map((rule, i) => {
+            const error = validate(rule);
+            if (error) throw new Error(`Rule ${i + 1}: ${error}`);
+
+            return {
+                pattern: rule.pattern.trim(),
+                color: d3.color(rule.color).formatHex(),
+                label: typeof rule.label === 'string' && rule.label.trim() ? rule.label.trim() : rule.pattern.trim()
+            };
+        });
+    }
+
+    function serialize(rules) {
+        return JSON.stringify({ rules }, null, 2);
+    }
+
+    // Error message for an unusable rule, or null
+    function validate(rule) {
+        if (typeof rule?.pattern !== 'string' || !rule.pattern.trim()) return 'pattern is missing';
+        if (!toRegExp(rule.pattern.trim())) return `invalid regular expression ${rule.pattern}`;
+        if (typeof rule.color !== 'string' || !d3.color(rule.color)) return `invalid colour ${rule.color}`;
+        return null;
+    }
+
+    // "/body/flags" is a regular expression; anything else a case-insensitive wildcard pattern.
+    // The g and y flags are dropped: they make test() resume from lastIndex on the cached regex.
+    function toRegExp(pattern) {
+        if (!patternCache.has(pattern)) {
+            const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+            let compiled = null;
+            try {
+                compiled = regex ? new RegExp(regex[1], regex[2].replace(/[gy]/g, '')) : BranchFilter.toRegExp(pattern);
+            } catch {
+                // Left null: the pattern is reported by validate and never matches
+            }
+            patternCache.set(pattern, compiled);
+        }
+        return patternCache.get(pattern);
+    }
+
+    function match(branchName, rules) {
+        return rules.find(rule => toRegExp(rule.pattern)?.test(branchName)) || null;
+    }
+
+    // Lane colour: the first matching rule, else the theme palette by lane index
+    function colorOf(branchName, index, rules, theme) {
+        const rule = match(branchName, rules);
+        return rule ? rule.color : theme.lanePalette[index % theme.lanePalette.length];
+    }
+
+    return {
+        defaults,
+        load,
+        save,
+        parse,
+        serialize,
+        validate,
+        match,
+        colorOf
+    };
+})();
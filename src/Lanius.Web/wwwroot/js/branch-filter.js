@@ -0,0 +1,59 @@
+// Branch Filter Model
+// One filter shared by the overview graph, replay sessions and monitoring notifications.
+// Text format: comma-separated glob patterns, "!" prefix excludes ("main, release/*, !dependabot/*").
+
+const BranchFilter = (() => {
+    function parse(text) {
+        const filter = { includes: [], excludes: [] };
+
+        (text || '').split(',')
+            .map(p => p.trim())
+            .filter(p => p.length > 0)
+            .forEach(p => {
+                if (p.startsWith('!')) {
+                    const pattern = p.slice(1).trim();
+                    if (pattern) filter.excludes.push(pattern);
+                } else {
+                    filter.includes.push(p);
+                }
+            });
+
+        return filter;
+    }
+
+    function isEmpty(filter) {
+        return !filter || (filter.includes.length === 0 && filter.excludes.length === 0);
+    }
+
+    // "*" matches any run of characters (including "/"), so "release/*" behaves like the server's prefix match.
+    // Matching is case-insensitive, as on the server.
+    function toRegExp(pattern) {
+        const escaped = pattern
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^${escaped}$`, 'i');
+    }
+
+    function matches(branchName, filter) {
+        if (isEmpty(filter)) return true;
+
+        const included = filter.includes.length === 0 ||
+            filter.includes.some(p => toRegExp(p).test(branchName));
+
+        return included && !filter.excludes.some(p => toRegExp(p).test(branchName));
+    }
+
+    // Exact branch names selected by the filter, in their original order
+    function resolve(branchNames, filter) {
+        return branchNames.filter(name => matches(name, filter));
+    }
+
+    return {
+        parse,
+        isEmpty,
+        matches,
+        resolve,
+        toRegExp
+    };
+})();
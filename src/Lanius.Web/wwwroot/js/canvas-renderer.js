@@ -0,0 +1,379 @@
+// Canvas Renderer - draws commits and their connections on a 2D canvas for large repositories
+// Mirrors the drawing API of Visualization (render, animateNewCommit, animateReplayCommit, clear).
+// The timeline axis, branch lanes, zoom and brushing stay in the SVG underneath;
+// Visualization switches to this renderer above config.canvasThreshold commits.
+
+const CanvasRenderer = (() => {
+    let canvas, context, layout;
+    let active = false;
+    let commitData = [];
+    let connections = [];
+    let quadtree = null; // Screen-space index of drawn commits, rebuilt lazily after each redraw
+    let hoveredCommit = null;
+    let focusedSha = null;
+    const animations = new Map(); // sha -> { start, pulse }
+    let animationTimer = null;
+
+    const config = {
+        appearDuration: 500,
+        pulseDuration: 1500,
+        hitRadius: 8, // Pointer distance that still counts as hovering a commit
+        cullMargin: 60, // Skip drawing beyond this many pixels outside the canvas
+        dimmedOpacity: 0.15 // Commits that don't match the search
+    };
+
+    // Matches the SVG classes .branch-connection, .cross-branch-connection, .commit-edge and .merge-edge
+    const connectionStyles = {
+        branch: { dash: [], opacity: 0.6, curved: false },
+        cross: { dash: [3, 3], opacity: 0.4, curved: false },
+        parent: { dash: [], opacity: 0.6, curved: true },
+        merge: { dash: [4, 2], opacity: 0.8, curved: true }
+    };
+
+    // layout supplies geometry and callbacks from Visualization:
+    // svg, eventTarget, margin, colors, lineWidth, commitRadius, commitRadiusHover,
+    // getXScale(), getCommitY(commit, laneYMap, lane), getGhostOffsets(commit, laneYMap),
+    // getLaneYMap(), getCommitSize(commit),
+    // getCommitColor(commit), isDimmed(commit), getCommitMark(commit), getConnections(commits),
+    // getNewCommitConnections(commit, commits),
+    // onHover(event, commit), onLeave(), onClick(commit)
+    function initialize(options) {
+        layout = options;
+
+        canvas = document.createElement('canvas');
+        canvas.className = 'commit-canvas';
+        canvas.style.display = 'none';
+        layout.svg.parentNode.insertBefore(canvas, layout.svg.nextSibling);
+        context = canvas.getContext('2d');
+
+        d3.select(layout.eventTarget)
+            .on('mousemove.canvas', handlePointerMove)
+            .on('mouseleave.canvas', handlePointerLeave)
+            .on('click.canvas', handleClick);
+
+        resize();
+    }
+
+    function isActive() {
+        return active;
+    }
+
+    function getCanvas() {
+        return active ? canvas : null;
+    }
+
+    function resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = layout.svg.clientWidth;
+        const height = layout.svg.clientHeight;
+
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        canvas.style.left = `${layout.svg.offsetLeft}px`;
+        canvas.style.top = `${layout.svg.offsetTop}px`;
+
+        redraw();
+    }
+
+    function render(commits) {
+        commitData = commits;
+        connections = layout.getConnections(commitData);
+        animations.clear();
+        hoveredCommit = null;
+        active = true;
+        canvas.style.display = null;
+
+        // Fade the whole layer in, like the SVG transitions
+        commitData.forEach(commit => animations.set(commit.sha, { start: performance.now(), pulse: false }));
+        startAnimation();
+    }
+
+    function animateNewCommit(commit) {
+        addCommit(commit, true);
+    }
+
+    // Replayed commits only grow in - a pulse per commit is too busy at high speed
+    function animateReplayCommit(commit) {
+        addCommit(commit, false);
+    }
+
+    function addCommit(commit, pulse) {
+        if (!commitData.includes(commit)) {
+            commitData.push(commit);
+        }
+        connections.push(...layout.getNewCommitConnections(commit, commitData));
+
+        animations.set(commit.sha, { start: performance.now(), pulse });
+        startAnimation();
+    }
+
+    // Replace the connections once lanes or commits changed around them (live updates)
+    function setConnections(value) {
+        connections = value;
+        redraw();
+    }
+
+    function setFocused(sha) {
+        focusedSha = sha;
+        redraw();
+    }
+
+    function clear() {
+        active = false;
+        commitData = [];
+        connections = [];
+        hoveredCommit = null;
+        focusedSha = null;
+        animations.clear();
+        stopAnimation();
+        canvas.style.display = 'none';
+        redraw();
+    }
+
+    function startAnimation() {
+        if (!animationTimer) {
+            animationTimer = d3.timer(() => {
+                redraw();
+                if (animations.size === 0) stopAnimation();
+            });
+        }
+    }
+
+    function stopAnimation() {
+        if (animationTimer) {
+            animationTimer.stop();
+            animationTimer = null;
+        }
+    }
+
+    function redraw() {
+        if (!context) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, canvas.width / ratio, canvas.height / ratio);
+        quadtree = null;
+
+        if (!active) return;
+
+        context.translate(layout.margin.left, layout.margin.top);
+
+        const now = performance.now();
+        const geometry = getGeometry();
+        const bounds = getVisibleBounds();
+
+        // Finished animations are dropped even for commits that are culled off-screen
+        animations.forEach((animation, sha) => {
+            if (now - animation.start >= getAnimationLength(animation)) {
+                animations.delete(sha);
+            }
+        });
+
+        drawConnections(geometry, bounds);
+        drawCommits(geometry, bounds, now);
+    }
+
+    // Position functions for the current zoom, built once per frame
+    function getGeometry() {
+        const x = layout.getXScale();
+        const laneYMap = layout.getLaneYMap();
+        return {
+            x: commit => x(new Date(commit.timestamp)),
+            y: (commit, lane) => layout.getCommitY(commit, laneYMap, lane),
+            ghosts: commit => layout.getGhostOffsets(commit, laneYMap)
+        };
+    }
+
+    // Visible area in plot coordinates (the canvas origin is shifted by the margins)
+    function getVisibleBounds() {
+        const ratio = window.devicePixelRatio || 1;
+        return {
+            left: -layout.margin.left - config.cullMargin,
+            right: canvas.width / ratio - layout.margin.left + config.cullMargin,
+            top: -layout.margin.top - config.cullMargin,
+            bottom: canvas.height / ratio - layout.margin.top + config.cullMargin
+        };
+    }
+
+    function drawConnections(geometry, bounds) {
+        const link = d3.linkHorizontal().context(context);
+
+        Object.entries(connectionStyles).forEach(([type, style]) => {
+            context.beginPath();
+
+            connections.forEach(connection => {
+                if (connection.type !== type) return;
+
+                const x1 = geometry.x(connection.source);
+                const x2 = geometry.x(connection.target);
+                if (Math.max(x1, x2) < bounds.left || Math.min(x1, x2) > bounds.right) return;
+
+                const y1 = geometry.y(connection.source, connection.sourceLane);
+                const y2 = geometry.y(connection.target, connection.targetLane);
+
+                if (style.curved && y1 !== y2) {
+                    // Leave the parent lane and enter the child lane horizontally
+                    link({ source: [x1, y1], target: [x2, y2] });
+                } else {
+                    context.moveTo(x1, y1);
+                    context.lineTo(x2, y2);
+                }
+            });
+
+            context.setLineDash(style.dash);
+            context.globalAlpha = style.opacity;
+            context.strokeStyle = layout.colors.link;
+            context.lineWidth = layout.lineWidth;
+            context.stroke();
+        });
+
+        context.setLineDash([]);
+        context.globalAlpha = 1;
+    }
+
+    function drawCommits(geometry, bounds, now) {
+        commitData.forEach(commit => {
+            const x = geometry.x(commit);
+            const y = geometry.y(commit);
+            if (x < bounds.left || x > bounds.right || y < bounds.top || y > bounds.bottom) return;
+
+            let radius = layout.getCommitSize(commit);
+            let opacity = 1;
+
+            const animation = animations.get(commit.sha);
+            if (animation) {
+                ({ radius, opacity } = getAnimatedState(animation, radius, now));
+            }
+
+            let strokeWidth = commit.isMerge ? 2 : layout.lineWidth;
+            if (commit === hoveredCommit) {
+                radius = layout.commitRadiusHover;
+                strokeWidth = 2;
+            }
+            if (commit.sha === focusedSha) {
+                strokeWidth = 3;
+            }
+
+            if (layout.isDimmed(commit)) {
+                opacity *= config.dimmedOpacity;
+            }
+
+            context.globalAlpha = opacity;
+            drawGhosts(x, y, geometry.ghosts(commit));
+
+            context.beginPath();
+            context.arc(x, y, Math.max(radius, 0), 0, Math.PI * 2);
+            context.fillStyle = layout.getCommitColor(commit);
+            context.fill();
+
+            // Comparison marks outline the commit in the side's colour
+            const mark = layout.getCommitMark(commit);
+            context.strokeStyle = mark ? layout.colors.compare[mark] : layout.colors.commitDefault;
+            context.lineWidth = mark ? Math.max(strokeWidth, 3) : strokeWidth;
+            context.stroke();
+        });
+
+        context.globalAlpha = 1;
+    }
+
+    // Dashed hollow markers on the other lanes of a shared commit (SVG: .commit-ghost)
+    function drawGhosts(x, y, offsets) {
+        if (offsets.length === 0) return;
+
+        context.beginPath();
+        offsets.forEach(offset => {
+            context.moveTo(x + layout.commitRadius, y + offset);
+            context.arc(x, y + offset, layout.commitRadius, 0, Math.PI * 2);
+        });
+        context.setLineDash([2, 2]);
+        context.strokeStyle = layout.colors.commitDefault;
+        context.lineWidth = layout.lineWidth;
+        context.stroke();
+        context.setLineDash([]);
+    }
+
+    function getAnimationLength(animation) {
+        return animation.pulse ? config.appearDuration + config.pulseDuration : config.appearDuration;
+    }
+
+    // Grow in, then (for new commits) swell to 1.5x at reduced opacity and settle back
+    function getAnimatedState(animation, radius, now) {
+        const elapsed = now - animation.start;
+
+        if (elapsed < config.appearDuration) {
+            const t = d3.easeCubicOut(elapsed / config.appearDuration);
+            return { radius: radius * t, opacity: t };
+        }
+
+        if (animation.pulse && elapsed < config.appearDuration + config.pulseDuration) {
+            const t = (elapsed - config.appearDuration) / config.pulseDuration;
+            const swell = Math.sin(Math.PI * t);
+            return { radius: radius * (1 + 0.5 * swell), opacity: 1 - 0.6 * swell };
+        }
+
+        return { radius, opacity: 1 };
+    }
+
+    function getQuadtree() {
+        if (!quadtree) {
+            const geometry = getGeometry();
+            quadtree = d3.quadtree()
+                .x(geometry.x)
+                .y(geometry.y)
+                .addAll(commitData);
+        }
+        return quadtree;
+    }
+
+    function findCommit(x, y) {
+        if (!active || commitData.length === 0) return null;
+        return getQuadtree().find(x, y, config.hitRadius) || null;
+    }
+
+    function handlePointerMove(event) {
+        if (!active) return;
+
+        const [x, y] = d3.pointer(event, layout.eventTarget);
+        const commit = findCommit(x, y);
+        if (commit === hoveredCommit) return;
+
+        hoveredCommit = commit;
+        d3.select(layout.svg).classed('canvas-hover', !!commit);
+        layout.onLeave();
+        if (commit) layout.onHover(event, commit);
+        redraw();
+    }
+
+    function handlePointerLeave() {
+        if (!active || !hoveredCommit) return;
+
+        hoveredCommit = null;
+        d3.select(layout.svg).classed('canvas-hover', false);
+        layout.onLeave();
+        redraw();
+    }
+
+    function handleClick(event) {
+        if (!active || event.defaultPrevented) return;
+
+        const [x, y] = d3.pointer(event, layout.eventTarget);
+        const commit = findCommit(x, y);
+        if (commit) layout.onClick(commit);
+    }
+
+    return {
+        initialize,
+        isActive,
+        getCanvas,
+        resize,
+        render,
+        animateNewCommit,
+        setConnections,
+        animateReplayCommit,
+        setFocused,
+        redraw,
+        clear
+    };
+})();
@@ -0,0 +1,148 @@
+// Commit Search - query parsing and matching for the commit search box
+// Terms are separated by spaces and must all match (case-insensitive):
+//   a1b2c3            SHA prefix (4+ hex characters), or message/author text
+//   fix login         words in the message or author
+//   "exact phrase"    quoted text
+//   author:jane       author name or email
+//   message:refactor  message text only
+//   sha:a1b2          SHA prefix only
+//   date:2024-03      a year, month or day; also >2024-03-01, <=2024, 2024-01..2024-03, 30d (last 30 days)
+
+const CommitSearch = (() => {
+    const fields = ['author', 'message', 'sha', 'date'];
+    const shaPattern = /^[0-9a-f]{4,40}$/;
+
+    // Open ends for "since" and "before" ranges
+    const earliest = new Date(-8640000000000000);
+    const latest = new Date(8640000000000000);
+
+    function parse(query) {
+        const terms = [];
+        const tokens = (query || '').match(/(\w+:)?("[^"]*"|\S+)/g) || [];
+
+        for (const token of tokens) {
+            const separator = token.indexOf(':');
+            const prefix = separator > 0 ? token.slice(0, separator).toLowerCase() : null;
+            const field = fields.includes(prefix) ? prefix : 'any';
+            const value = (field === 'any' ? token : token.slice(separator + 1))
+                .replace(/^"|"$/g, '')
+                .toLowerCase();
+
+            if (!value) continue;
+
+            if (field === 'date') {
+                const range = parseDateExpression(value);
+                if (!range) {
+                    return { terms: [], error: `Invalid date expression: ${value}` };
+                }
+                terms.push({ field, range });
+            } else {
+                terms.push({ field, value });
+            }
+        }
+
+        return { terms, error: null };
+    }
+
+    function isEmpty(search) {
+        return search.terms.length === 0;
+    }
+
+    function matches(commit, search) {
+        return search.terms.every(term => matchesTerm(commit, term));
+    }
+
+    function matchesTerm(commit, term) {
+        const sha = (commit.sha || '').toLowerCase();
+        const message = (commit.message || commit.shortMessage || '').toLowerCase();
+        const author = `${commit.author || ''} ${commit.authorEmail || ''}`.toLowerCase();
+
+        switch (term.field) {
+            case 'sha':
+                return sha.startsWith(term.value);
+            case 'author':
+                return author.includes(term.value);
+            case 'message':
+                return message.includes(term.value);
+            case 'date': {
+                const date = new Date(commit.timestamp);
+                return date >= term.range.start && date < term.range.end;
+            }
+            default:
+                return (shaPattern.test(term.value) && sha.startsWith(term.value)) ||
+                    message.includes(term.value) ||
+                    author.includes(term.value);
+        }
+    }
+
+    // A SHA that can be looked up on the server when nothing in the graph matches
+    function getShaCandidate(search) {
+        if (search.terms.length !== 1) return null;
+
+        const [term] = search.terms;
+        return (term.field === 'sha' || term.field === 'any') && shaPattern.test(term.value)
+            ? term.value
+            : null;
+    }
+
+    // Date expressions become a half-open range [start, end) in local time
+    function parseDateExpression(expression) {
+        const relative = expression.match(/^(\d+)([dwmy])$/);
+        if (relative) {
+            const amount = parseInt(relative[1]);
+            const start = new Date();
+            start.setHours(0, 0, 0, 0);
+            switch (relative[2]) {
+                case 'd': start.setDate(start.getDate() - amount); break;
+                case 'w': start.setDate(start.getDate() - amount * 7); break;
+                case 'm': start.setMonth(start.getMonth() - amount); break;
+                case 'y': start.setFullYear(start.getFullYear() - amount); break;
+            }
+            return { start, end: latest };
+        }
+
+        if (expression.includes('..')) {
+            const [from, to] = expression.split('..').map(parsePeriod);
+            return from && to ? { start: from.start, end: to.end } : null;
+        }
+
+        const comparison = expression.match(/^(>=|<=|>|<)(.+)$/);
+        if (comparison) {
+            const period = parsePeriod(comparison[2]);
+            if (!period) return null;
+
+            switch (comparison[1]) {
+                case '>': return { start: period.end, end: latest };
+                case '>=': return { start: period.start, end: latest };
+                case '<': return { start: earliest, end: period.start };
+                case '<=': return { start: earliest, end: period.end };
+            }
+        }
+
+        return parsePeriod(expression);
+    }
+
+    // YYYY, YYYY-MM or YYYY-MM-DD as the whole year, month or day
+    function parsePeriod(text) {
+        const match = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+        if (!match) return null;
+
+        const year = parseInt(match[1]);
+        if (match[3]) {
+            const day = new Date(year, parseInt(match[2]) - 1, parseInt(match[3]));
+            return { start: day, end: new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1) };
+        }
+        if (match[2]) {
+            const month = parseInt(match[2]) - 1;
+            return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+        }
+        return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+    }
+
+    return {
+        parse,
+        isEmpty,
+        matches,
+        getShaCandidate
+    };
+})();
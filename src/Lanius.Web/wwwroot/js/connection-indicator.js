@@ -0,0 +1,26 @@
+// Connection Indicator - the hub connection state shown in the page header
+// Shared by the graph and the dashboard; expects #connection-state and #connection-label.
+
+const ConnectionIndicator = (() => {
+    const labels = {
+        connecting: 'Connecting',
+        connected: 'Live',
+        reconnecting: 'Reconnecting',
+        disconnected: 'Offline'
+    };
+
+    // connectionState: 'connecting', 'connected', 'reconnecting' or 'disconnected'.
+    // retryDelay (ms) is mentioned in the tooltip while disconnected.
+    function show(connectionState, retryDelay) {
+        const indicator = document.getElementById('connection-state');
+        indicator.dataset.state = connectionState;
+        indicator.title = connectionState === 'disconnected'
+            ? `Not connected to the server, retrying every ${retryDelay / 1000}s`
+            : '';
+        document.getElementById('connection-label').textContent = labels[connectionState];
+    }
+
+    return {
+        show
+    };
+})();
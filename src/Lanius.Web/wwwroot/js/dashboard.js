@@ -0,0 +1,315 @@
+// Monitoring Dashboard - one tile per repository the server monitors
+// A single hub connection serves every tile, with one group subscription per repository;
+// ReceiveNewCommits carries the repository ID to tell them apart.
+
+// Configuration
+const API_URL = window.location.origin;
+const HUB_URL = `${API_URL}/hubs/repository`;
+const timelineDays = 14; // Span of the tiles' mini-timelines
+const tileCommitLimit = 500; // Recent commits kept per tile
+
+// Dashboard State
+const state = {
+    connection: null,
+    tiles: new Map() // repositoryId -> { repo, commits (newest first), live: Set of SHAs, lastPushAt, error }
+};
+
+// Initialize dashboard
+document.addEventListener('DOMContentLoaded', async () => {
+    document.getElementById('dashboard-add-btn').addEventListener('click', addRepository);
+
+    await initializeSignalR();
+    await loadTiles();
+
+    // Keep the "... ago" times current
+    setInterval(renderTiles, 60000);
+});
+
+// SignalR Setup
+// Subscriptions are renewed and every tile reloaded after a reconnect, which also picks up
+// commits pushed while disconnected.
+async function initializeSignalR() {
+    const hub = HubClient.create(HUB_URL, {
+        handlers: {
+            ReceiveNewCommits: handleNewCommits,
+            RepositoryUpdated: handleRepositoryUpdated,
+            Error: handleHubError
+        },
+        // The first load follows initialization
+        onConnected: initial => {
+            if (!initial) return loadTiles();
+        }
+    });
+
+    state.connection = hub.connection;
+    await hub.connect();
+}
+
+async function subscribe(repositoryId) {
+    if (state.connection.state !== signalR.HubConnectionState.Connected) return;
+    await state.connection.invoke('SubscribeToRepository', repositoryId);
+}
+
+// Tiles
+// (Re)load every monitored repository: info, recent commits and the group subscription
+async function loadTiles() {
+    try {
+        const response = await fetch(`${API_URL}/api/monitoring`);
+        if (!response.ok) {
+            throw await ApiError.read(response, 'Failed to load monitored repositories');
+        }
+
+        const ids = await response.json();
+
+        // Stopped elsewhere (e.g. the graph page) since the last load
+        [...state.tiles.keys()]
+            .filter(id => !ids.includes(id))
+            .forEach(id => state.tiles.delete(id));
+
+        await Promise.all(ids.map(loadTile));
+        updateStatus(ids.length === 0
+            ? 'No repositories are monitored. Pick one of your recent repositories to start.'
+            : `Monitoring ${ids.length} repositor${ids.length === 1 ? 'y' : 'ies'}`);
+    } catch (err) {
+        console.error('Dashboard load error:', err);
+        updateStatus(`Error: ${err.message}`, true);
+    }
+
+    renderTiles();
+    renderAddOptions();
+}
+
+async function loadTile(id) {
+    const tile = state.tiles.get(id) || { repo: { id }, commits: [], live: new Set(), lastPushAt: null, error: null };
+    state.tiles.set(id, tile);
+
+    try {
+        const [repo, commits] = await Promise.all([fetchRepositoryInfo(id), fetchRecentCommits(id)]);
+        tile.repo = repo;
+        tile.commits = commits;
+        tile.error = null;
+        await subscribe(id);
+    } catch (err) {
+        console.error('Tile load error:', id, err);
+        tile.error = err.message;
+    }
+}
+
+async function fetchRepositoryInfo(id) {
+    const response = await fetch(`${API_URL}/api/repository/${encodeURIComponent(id)}`);
+    if (!response.ok) {
+        throw await ApiError.read(response, 'Failed to load repository');
+    }
+    return response.json();
+}
+
+// Newest first, like the API; the server leaves out commits older than the timeline
+async function fetchRecentCommits(id) {
+    const query = new URLSearchParams({
+        since: d3.timeDay.offset(new Date(), -timelineDays).toISOString(),
+        take: tileCommitLimit
+    });
+    const response = await fetch(`${API_URL}/api/repositories/${encodeURIComponent(id)}/commits?${query}`);
+    if (!response.ok) {
+        throw await ApiError.read(response, 'Failed to load commits');
+    }
+    return response.json();
+}
+
+function renderTiles() {
+    const container = document.getElementById('dashboard-tiles');
+    const tiles = [...state.tiles.values()]
+        .sort((a, b) => Format.repositoryName(a.repo.url || a.repo.id).localeCompare(Format.repositoryName(b.repo.url || b.repo.id)));
+
+    const elements = tiles.map(createTile);
+    container.replaceChildren(...elements);
+
+    // Timelines need the tiles laid out to know their width
+    const end = new Date();
+    tiles.forEach((tile, i) => {
+        const svg = elements[i].querySelector('.repo-tile-timeline');
+        MiniTimeline.render(svg, tile.commits, { start: d3.timeDay.offset(end, -timelineDays), end, live: tile.live });
+    });
+}
+
+function createTile(tile) {
+    const { repo } = tile;
+
+    const element = document.createElement('article');
+    element.className = tile.error ? 'repo-tile unavailable' : 'repo-tile';
+    element.dataset.repositoryId = repo.id;
+    element.tabIndex = 0;
+    element.title = 'Open in the graph';
+    element.addEventListener('click', () => openRepository(repo.id));
+    element.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target === element) openRepository(repo.id);
+    });
+
+    const header = document.createElement('div');
+    header.className = 'repo-tile-header';
+
+    const name = document.createElement('span');
+    name.className = 'repo-tile-name';
+    name.textContent = Format.repositoryName(repo.url || repo.id);
+
+    const stopButton = document.createElement('button');
+    stopButton.className = 'btn btn-compact';
+    stopButton.textContent = 'Stop';
+    stopButton.title = 'Stop monitoring this repository';
+    stopButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        stopMonitoring(repo.id);
+    });
+
+    header.append(name, stopButton);
+
+    const url = document.createElement('div');
+    url.className = 'repo-tile-url';
+    url.textContent = repo.url || '';
+
+    const timeline = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    timeline.setAttribute('class', 'repo-tile-timeline');
+
+    const counters = document.createElement('div');
+    counters.className = 'repo-tile-counters';
+    counters.append(
+        createCounter('Commits', repo.totalCommits ?? '–'),
+        createCounter('Branches', repo.totalBranches ?? '–'),
+        createCounter('New', tile.live.size)
+    );
+
+    const meta = document.createElement('div');
+    meta.className = 'status-line';
+    meta.style.color = tile.error ? 'var(--color-error)' : '';
+    meta.textContent = tile.error ? `Error: ${tile.error}` : getPushSummary(tile);
+
+    element.append(header, url, timeline, counters, meta);
+    return element;
+}
+
+function createCounter(label, value) {
+    const item = document.createElement('div');
+    item.className = 'stat-item';
+
+    const labelElement = document.createElement('div');
+    labelElement.className = 'stat-label';
+    labelElement.textContent = label;
+
+    const valueElement = document.createElement('div');
+    valueElement.className = 'stat-value';
+    valueElement.textContent = value;
+
+    item.append(labelElement, valueElement);
+    return item;
+}
+
+// Last push: when the monitor last delivered commits, else the newest commit's date
+function getPushSummary(tile) {
+    const lastPush = tile.lastPushAt || (tile.commits[0] && new Date(tile.commits[0].timestamp));
+    const fetched = tile.repo.lastFetchedAt ? ` · fetched ${Format.relativeTime(tile.repo.lastFetchedAt)}` : '';
+    return `${lastPush ? `Last push ${Format.relativeTime(lastPush)}` : `No commits in ${timelineDays} days`}${fetched}`;
+}
+
+// The graph page restores the repository from its URL (see view-link.js)
+function openRepository(id) {
+    window.location.href = `index.html?${new URLSearchParams({ repo: id })}`;
+}
+
+// Adding and removing repositories
+function renderAddOptions() {
+    const select = document.getElementById('dashboard-add');
+    const available = RecentRepositories.list().filter(entry => !state.tiles.has(entry.id));
+
+    select.replaceChildren(...available.map(entry => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = Format.repositoryName(entry.url);
+        return option;
+    }));
+
+    select.disabled = available.length === 0;
+    document.getElementById('dashboard-add-btn').disabled = available.length === 0;
+    select.title = available.length === 0 ? 'Clone or open repositories in the graph to add them here' : '';
+}
+
+async function addRepository() {
+    const id = document.getElementById('dashboard-add').value;
+    if (!id) return;
+
+    try {
+        const response = await fetch(`${API_URL}/api/monitoring/start/${encodeURIComponent(id)}`, { method: 'POST' });
+        if (!response.ok) {
+            throw await ApiError.read(response, 'Failed to start monitoring');
+        }
+
+        await loadTile(id);
+        renderTiles();
+        renderAddOptions();
+        updateStatus(`Monitoring ${state.tiles.size} repositor${state.tiles.size === 1 ? 'y' : 'ies'}`);
+    } catch (err) {
+        console.error('Monitor start error:', err);
+        updateStatus(`Error: ${err.message}`, true);
+    }
+}
+
+async function stopMonitoring(id) {
+    try {
+        const response = await fetch(`${API_URL}/api/monitoring/stop/${encodeURIComponent(id)}`, { method: 'POST' });
+        if (!response.ok) {
+            throw await ApiError.read(response, 'Failed to stop monitoring');
+        }
+
+        if (state.connection.state === signalR.HubConnectionState.Connected) {
+            await state.connection.invoke('UnsubscribeFromRepository', id);
+        }
+
+        const name = Format.repositoryName(state.tiles.get(id)?.repo.url || id);
+        state.tiles.delete(id);
+        renderTiles();
+        renderAddOptions();
+        updateStatus(`Stopped monitoring ${name}`);
+    } catch (err) {
+        console.error('Monitor stop error:', err);
+        updateStatus(`Error: ${err.message}`, true);
+    }
+}
+
+// SignalR Event Handlers
+function handleNewCommits(commits, repositoryId) {
+    const tile = state.tiles.get(repositoryId);
+    if (!tile) return;
+
+    const known = new Set(tile.commits.map(commit => commit.sha));
+    const added = commits.filter(commit => !known.has(commit.sha));
+    if (added.length === 0) return;
+
+    tile.commits = [...added, ...tile.commits].slice(0, tileCommitLimit);
+    added.forEach(commit => tile.live.add(commit.sha));
+    tile.lastPushAt = new Date();
+    renderTiles();
+}
+
+function handleRepositoryUpdated(repo) {
+    const tile = state.tiles.get(repo.id);
+    if (!tile) return;
+
+    tile.repo = repo;
+    renderTiles();
+}
+
+function handleHubError(error) {
+    console.error('Server error:', error);
+
+    const tile = state.tiles.get(error.repositoryId);
+    if (!tile) return;
+
+    tile.error = error.message;
+    renderTiles();
+}
+
+// UI Helper Functions
+function updateStatus(message, isError = false) {
+    const element = document.getElementById('dashboard-status');
+    element.textContent = message;
+    element.style.color = isError ? 'var(--color-error)' : 'var(--fg-tertiary)';
+}
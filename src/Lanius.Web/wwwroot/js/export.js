@@ -0,0 +1,306 @@
+// Graph Export - SVG, PNG and print-ready PDF of the current commit graph
+// Styles are copied inline so the file renders the same outside the page.
+
+const GraphExport = (() => {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // Presentation properties read from the live graph and written onto the copy
+    const styleProperties = [
+        'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+        'opacity', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline',
+        'display', 'visibility'
+    ];
+
+    // Entries kept in a style cache before it starts over; transitions leave one per
+    // intermediate inline style behind
+    const styleCacheLimit = 5000;
+
+    // Interactive-only layers that don't belong in an exported image
+    const interactiveSelectors = ['.zoom-surface', '.replay-brush'];
+
+    const legend = {
+        padding: 16,
+        itemWidth: 160,
+        rowHeight: 18,
+        swatchSize: 8
+    };
+
+    async function exportGraph({ format = 'svg', scale = 2, fullTimeline = false, fileName = 'lanius-graph' } = {}) {
+        const { markup, width, height } = snapshot({ fullTimeline });
+
+        switch (format) {
+            case 'svg':
+                download(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }), `${fileName}.svg`);
+                break;
+            case 'png':
+                download(await rasterize(markup, width, height, scale), `${fileName}.png`);
+                break;
+            case 'pdf':
+                printSvg(markup, fileName);
+                break;
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    // The graph as standalone SVG markup (also used for replay video frames).
+    // includeCanvas: false leaves out the canvas layer, for callers that draw it themselves.
+    // styleCache: a Map kept by the caller between snapshots (see inlineStyles).
+    // graphHeight is the height without the legend, i.e. the area the canvas layer covers.
+    function snapshot({ fullTimeline = false, includeCanvas = true, styleCache = null } = {}) {
+        const create = () => createSnapshot({ includeCanvas, styleCache });
+        const result = fullTimeline ? Visualization.withFullTimeline(create) : create();
+
+        return {
+            markup: serialize(result.svg),
+            width: result.width,
+            height: result.height,
+            graphHeight: result.graphHeight
+        };
+    }
+
+    // Copy the live graph with inlined styles and a branch legend underneath
+    function createSnapshot({ includeCanvas, styleCache }) {
+        const source = document.getElementById('commit-graph');
+        const width = source.clientWidth;
+        const graphHeight = source.clientHeight;
+        const copy = source.cloneNode(true);
+
+        inlineStyles(source, copy, styleCache);
+        copy.querySelectorAll(interactiveSelectors.join(', ')).forEach(el => el.remove());
+
+        // Large graphs draw their commits on a canvas over the SVG
+        const canvasLayer = includeCanvas && Visualization.getCanvasLayer();
+        if (canvasLayer) {
+            const image = document.createElementNS(SVG_NS, 'image');
+            image.setAttribute('width', width);
+            image.setAttribute('height', graphHeight);
+            image.setAttribute('href', canvasLayer.toDataURL('image/png'));
+            copy.appendChild(image);
+        }
+        copy.removeAttribute('class');
+        copy.removeAttribute('id');
+
+        const legendHeight = appendLegend(copy, width, graphHeight);
+        const height = graphHeight + legendHeight;
+
+        copy.setAttribute('width', width);
+        copy.setAttribute('height', height);
+        copy.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        copy.style.fontFamily = getComputedStyle(source).fontFamily;
+
+        // Solid background - the page colour comes from CSS, not the SVG
+        const background = document.createElementNS(SVG_NS, 'rect');
+        background.setAttribute('width', width);
+        background.setAttribute('height', height);
+        background.setAttribute('fill', getComputedStyle(source).backgroundColor);
+        copy.insertBefore(background, copy.firstChild);
+
+        const fontFaces = collectFontFaces();
+        if (fontFaces) {
+            const defs = document.createElementNS(SVG_NS, 'defs');
+            const style = document.createElementNS(SVG_NS, 'style');
+            style.textContent = fontFaces;
+            defs.appendChild(style);
+            copy.insertBefore(defs, copy.firstChild);
+        }
+
+        return { svg: copy, width, height, graphHeight };
+    }
+
+    // Source and copy have identical structure, so elements pair up by document order.
+    // With a cache, elements that match in everything the stylesheet can see (tag, classes,
+    // inline style, presentation attributes, hover and focus, the same for their ancestors,
+    // and the theme) share one getComputedStyle call, within a snapshot and across snapshots.
+    function inlineStyles(source, copy, cache = null) {
+        const sourceElements = [source, ...source.querySelectorAll('*')];
+        const copyElements = [copy, ...copy.querySelectorAll('*')];
+
+        if (cache?.size > styleCacheLimit) cache.clear();
+
+        const keys = new Map();
+        const hovered = cache ? new Set(source.querySelectorAll(':hover')) : null;
+        const focused = cache ? new Set(source.querySelectorAll(':focus')) : null;
+
+        sourceElements.forEach((element, i) => {
+            let declarations;
+            if (cache) {
+                const key = [
+                    keys.get(element.parentNode) ?? Theme.getName(),
+                    element.tagName,
+                    element.getAttribute('class'),
+                    element.getAttribute('style'),
+                    ...styleProperties.map(property => element.getAttribute(property)),
+                    hovered.has(element),
+                    focused.has(element)
+                ].join('|');
+                keys.set(element, key);
+
+                declarations = cache.get(key);
+                if (declarations === undefined) {
+                    declarations = readStyles(element);
+                    cache.set(key, declarations);
+                }
+            } else {
+                declarations = readStyles(element);
+            }
+
+            if (declarations) {
+                copyElements[i].setAttribute('style', declarations);
+            }
+        });
+    }
+
+    function readStyles(element) {
+        const computed = getComputedStyle(element);
+        return styleProperties
+            .map(property => [property, computed.getPropertyValue(property)])
+            .filter(([, value]) => value)
+            .map(([property, value]) => `${property}: ${value}`)
+            .join('; ');
+    }
+
+    function appendLegend(svgElement, width, top) {
+        const entries = Visualization.getLegend();
+        if (entries.length === 0) return 0;
+
+        const perRow = Math.max(1, Math.floor((width - legend.padding * 2) / legend.itemWidth));
+        const rows = Math.ceil(entries.length / perRow);
+
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.setAttribute('class', 'export-legend');
+        group.setAttribute('transform', `translate(${legend.padding}, ${top + legend.padding})`);
+
+        entries.forEach((entry, i) => {
+            const x = (i % perRow) * legend.itemWidth;
+            const y = Math.floor(i / perRow) * legend.rowHeight;
+
+            const swatch = document.createElementNS(SVG_NS, 'rect');
+            swatch.setAttribute('x', x);
+            swatch.setAttribute('y', y);
+            swatch.setAttribute('width', legend.swatchSize);
+            swatch.setAttribute('height', legend.swatchSize);
+            swatch.setAttribute('rx', 1);
+            swatch.setAttribute('fill', entry.color);
+            swatch.setAttribute('stroke', Theme.get().colors.commitDefault);
+
+            const label = document.createElementNS(SVG_NS, 'text');
+            label.setAttribute('x', x + legend.swatchSize + 6);
+            label.setAttribute('y', y + legend.swatchSize);
+            label.setAttribute('font-size', '11px');
+            label.setAttribute('fill', Theme.get().colors.commitDefault);
+            label.textContent = entry.name;
+
+            group.appendChild(swatch);
+            group.appendChild(label);
+        });
+
+        svgElement.appendChild(group);
+        return rows * legend.rowHeight + legend.padding * 2;
+    }
+
+    // @font-face rules from same-origin stylesheets (cross-origin sheets can't be read)
+    function collectFontFaces() {
+        const rules = [];
+        Array.from(document.styleSheets).forEach(sheet => {
+            try {
+                Array.from(sheet.cssRules)
+                    .filter(rule => rule.type === CSSRule.FONT_FACE_RULE)
+                    .forEach(rule => rules.push(rule.cssText));
+            } catch (err) {
+                console.warn('Skipping stylesheet for export fonts:', sheet.href);
+            }
+        });
+        return rules.join('\n');
+    }
+
+    function serialize(svgElement) {
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svgElement);
+    }
+
+    function loadImage(markup) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to render graph image'));
+            };
+
+            image.src = url;
+        });
+    }
+
+    async function rasterize(markup, width, height, scale) {
+        const image = await loadImage(markup);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, width, height);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Image too large - try a smaller scale'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    // PDF goes through the browser's print dialog ("Save as PDF"), one landscape page
+    function printSvg(markup, title) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            throw new Error('Pop-up blocked - allow pop-ups to export PDF');
+        }
+
+        const svgMarkup = markup.replace(/^<\?xml[^>]*>\s*/, '');
+        printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+    <title>${title.replace(/[<>&]/g, '')}</title>
+    <style>
+        @page { size: landscape; margin: 10mm; }
+        html, body { margin: 0; }
+        svg { width: 100%; height: auto; }
+    </style>
+</head>
+<body>${svgMarkup}</body>
+</html>`);
+        printWindow.document.close();
+
+        printWindow.addEventListener('afterprint', () => printWindow.close());
+        printWindow.focus();
+        printWindow.print();
+    }
+
+    function download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    return {
+        exportGraph,
+        snapshot,
+        loadImage,
+        download
+    };
+})();
@@ -0,0 +1,23 @@
+// Format - display strings shared by the graph and the dashboard
+
+const Format = (() => {
+    // Last path segment of a clone URL, without .git
+    function repositoryName(url) {
+        return (url || '').replace(/\.git$/, '').split(/[/:]/).filter(Boolean).pop() || url;
+    }
+
+    // "just now", "5m ago", "3h ago", "2d ago", then the date
+    function relativeTime(timestamp) {
+        const seconds = (Date.now() - new Date(timestamp)) / 1000;
+        if (seconds < 60) return 'just now';
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+        if (seconds < 86400 * 7) return `${Math.floor(seconds / 86400)}d ago`;
+        return new Date(timestamp).toLocaleDateString();
+    }
+
+    return {
+        repositoryName,
+        relativeTime
+    };
+})();
@@ -0,0 +1,70 @@
+// Graph Navigation - where the arrow keys move the keyboard focus in the commit graph
+// Left/right step along the current lane in time order, up/down switch to the nearest lane
+// above or below that has commits and land on its commit closest in time.
+// A commit on several lanes belongs to each of them, so moving across follows its ghost markers.
+
+const GraphNavigation = (() => {
+    // position: { commit, lane } or null; key: KeyboardEvent.key.
+    // lanes: lane keys top to bottom; commitsByLane: lane key -> commits oldest first.
+    // Returns the new position, or null when the key doesn't move the focus.
+    function move(position, key, { lanes, commitsByLane }) {
+        const laneCommits = position ? commitsByLane.get(position.lane) || [] : [];
+        const index = position ? laneCommits.indexOf(position.commit) : -1;
+
+        switch (key) {
+            case 'ArrowLeft':
+                return index > 0 ? { commit: laneCommits[index - 1], lane: position.lane } : null;
+            case 'ArrowRight':
+                return index >= 0 && index < laneCommits.length - 1
+                    ? { commit: laneCommits[index + 1], lane: position.lane }
+                    : null;
+            case 'Home':
+                return laneCommits.length > 0 ? { commit: laneCommits[0], lane: position.lane } : null;
+            case 'End':
+                return laneCommits.length > 0 ? { commit: laneCommits[laneCommits.length - 1], lane: position.lane } : null;
+            case 'ArrowUp':
+                return moveAcross(position, -1, lanes, commitsByLane);
+            case 'ArrowDown':
+                return moveAcross(position, 1, lanes, commitsByLane);
+            default:
+                return null;
+        }
+    }
+
+    function moveAcross(position, direction, lanes, commitsByLane) {
+        if (!position) return null;
+
+        const date = new Date(position.commit.timestamp);
+        for (let i = lanes.indexOf(position.lane) + direction; i >= 0 && i < lanes.length; i += direction) {
+            const commit = nearest(commitsByLane.get(lanes[i]) || [], date);
+            if (commit) return { commit, lane: lanes[i] };
+        }
+        return null;
+    }
+
+    // Where focus lands first: the top lane with commits, at the commit closest to date
+    function start(date, { lanes, commitsByLane }) {
+        for (const lane of lanes) {
+            const commit = nearest(commitsByLane.get(lane) || [], date);
+            if (commit) return { commit, lane };
+        }
+        return null;
+    }
+
+    // Commit closest in time to date (commits oldest first)
+    function nearest(commits, date) {
+        if (commits.length === 0) return null;
+
+        const i = d3.bisector(commit => new Date(commit.timestamp)).left(commits, date);
+        const before = commits[i - 1];
+        const after = commits[i];
+        if (!before) return after;
+        if (!after) return before;
+        return date - new Date(before.timestamp) <= new Date(after.timestamp) - date ? before : after;
+    }
+
+    return {
+        move,
+        start
+    };
+})();
@@ -0,0 +1,66 @@
+// Hub Client - the SignalR connection shared by the graph and the dashboard
+// Automatic reconnect is tried first; once it gives up the connection is restarted every
+// retryDelay until the server is back. The header indicator follows the connection state.
+
+const HubClient = (() => {
+    const retryDelay = 30000; // After automatic reconnect gives up (ms)
+
+    // url: the hub. handlers: { eventName: handler }.
+    // onConnected(initial): after every start and reconnect; initial is true for the first start only.
+    // Group subscriptions belong to a connection, so this is where pages renew them.
+    // onReconnecting(err) while automatic reconnect runs; onConnectFailed(err) when a start fails.
+    // Returns { connection, connect }; connect() starts the connection and resolves after the first attempt.
+    function create(url, { handlers = {}, onConnected, onReconnecting, onConnectFailed } = {}) {
+        const connection = new signalR.HubConnectionBuilder()
+            .withUrl(url)
+            .withAutomaticReconnect()
+            .configureLogging(signalR.LogLevel.Information)
+            .build();
+
+        Object.entries(handlers).forEach(([name, handler]) => connection.on(name, handler));
+
+        let started = false;
+
+        connection.onreconnecting(err => {
+            console.warn('SignalR reconnecting:', err);
+            ConnectionIndicator.show('reconnecting', retryDelay);
+            onReconnecting?.(err);
+        });
+        connection.onreconnected(() => {
+            console.log('SignalR reconnected');
+            ConnectionIndicator.show('connected', retryDelay);
+            onConnected?.(false);
+        });
+        connection.onclose(err => {
+            console.error('SignalR connection closed:', err);
+            ConnectionIndicator.show('disconnected', retryDelay);
+            setTimeout(connect, retryDelay);
+        });
+
+        async function connect() {
+            if (connection.state !== signalR.HubConnectionState.Disconnected) return;
+
+            ConnectionIndicator.show('connecting', retryDelay);
+            try {
+                await connection.start();
+                console.log('SignalR connected');
+                ConnectionIndicator.show('connected', retryDelay);
+
+                const initial = !started;
+                started = true;
+                await onConnected?.(initial);
+            } catch (err) {
+                console.error('SignalR connection error:', err);
+                ConnectionIndicator.show('disconnected', retryDelay);
+                onConnectFailed?.(err);
+                setTimeout(connect, retryDelay);
+            }
+        }
+
+        return { connection, connect };
+    }
+
+    return {
+        create
+    };
+})();
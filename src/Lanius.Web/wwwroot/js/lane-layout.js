@@ -0,0 +1,181 @@
+// Lane Layout - topology-aware branch lane order for the automatic layout
+// The trunk (main/master) goes on top and every branch sits below the branch it forked from.
+// Siblings are ordered so the dashed fork connections cross as few lane lines as possible,
+// and branches whose lifetimes don't overlap share a row.
+
+const LaneLayout = (() => {
+    const trunkNames = ['main', 'origin/main', 'master', 'origin/master'];
+
+    // Share of the time range kept free between two lanes on the same row (room for the indicator box)
+    const rowGapRatio = 0.03;
+
+    // Upper bound for the adjacent-swap passes; lane counts are small (the overview caps at 20 branches)
+    const maxSwapPasses = 10;
+
+    // Lanes ({ key }) in automatic order, each with the key of its parent lane (null for roots).
+    // relationships are the overview's merge bases ({ commitSha, branch1, branch2 }) and spans
+    // the first/last commit date per lane.
+    function arrange(lanes, { commits, relationships, spans }) {
+        if (lanes.length === 0) return [];
+
+        const keys = new Set(lanes.map(lane => lane.key));
+        const commitMap = new Map(commits.map(commit => [commit.sha, commit]));
+        const trunk = findTrunk(lanes, relationships);
+        const forks = getForks(lanes, { trunk, keys, commitMap, relationships, spans });
+
+        // Children hang below their parent, the latest fork closest:
+        // an earlier fork's connection then passes lanes that didn't exist yet
+        const children = new Map(lanes.map(lane => [lane.key, []]));
+        forks.forEach((fork, key) => {
+            if (fork.parent) children.get(fork.parent).push(key);
+        });
+        children.forEach(list => list.sort((a, b) => forks.get(b).time - forks.get(a).time));
+
+        const order = [];
+        const visit = (key) => {
+            if (order.includes(key)) return;
+            order.push(key);
+            children.get(key).forEach(visit);
+        };
+        visit(trunk);
+
+        // Branches without a known fork point follow the trunk's tree in their incoming order
+        lanes.forEach(lane => visit(lane.key));
+
+        const improved = reduceCrossings(order, forks, spans);
+        const byKey = new Map(lanes.map(lane => [lane.key, lane]));
+        return improved.map(key => ({ ...byKey.get(key), parent: forks.get(key)?.parent ?? null }));
+    }
+
+    // Row per lane, top to bottom. A lane reuses the first row below its parent whose lanes
+    // are all finished before it starts (or start after it ends); otherwise it gets a new row.
+    function assignRows(lanes, spans) {
+        const rows = [];
+        const rowOf = new Map();
+        const gap = getRowGap(spans);
+
+        return lanes.map(lane => {
+            const span = spans.get(lane.key);
+            const parentRow = rowOf.get(lane.parent) ?? -1;
+
+            let row = rows.findIndex((rowSpans, i) =>
+                i > parentRow && rowSpans.every(other => !overlaps(span, other, gap)));
+            if (row === -1) {
+                row = rows.length;
+                rows.push([]);
+            }
+
+            if (span) rows[row].push(span);
+            rowOf.set(lane.key, row);
+            return { ...lane, row };
+        });
+    }
+
+    // The main branch: the trunk the server measured merge bases against, else main/master, else the first lane
+    function findTrunk(lanes, relationships) {
+        const keys = lanes.map(lane => lane.key);
+        const fromServer = relationships.map(rel => rel.branch1).find(name => keys.includes(name));
+        return fromServer || trunkNames.find(name => keys.includes(name)) || keys[0];
+    }
+
+    // Fork point per lane: { parent, time, sha }.
+    // The server only reports merge bases with the trunk, so a more specific parent is any
+    // displayed branch that also contains the fork commit and started before this branch did.
+    function getForks(lanes, { trunk, keys, commitMap, relationships, spans }) {
+        const forks = new Map();
+
+        relationships.forEach(rel => {
+            if (!keys.has(rel.branch2) || rel.branch2 === trunk) return;
+
+            const forkCommit = commitMap.get(rel.commitSha);
+            const time = forkCommit ? new Date(forkCommit.timestamp) : spans.get(rel.branch2)?.start;
+            forks.set(rel.branch2, { parent: keys.has(rel.branch1) ? rel.branch1 : trunk, time: time || new Date(0), sha: rel.commitSha });
+        });
+
+        forks.forEach((fork, key) => {
+            const start = spans.get(key)?.start;
+            const forkCommit = commitMap.get(fork.sha);
+            if (!forkCommit || !start) return;
+
+            const candidates = (forkCommit.branches || []).filter(name =>
+                name !== key && name !== trunk && keys.has(name) && spans.get(name)?.start < start);
+
+            // The most recently started candidate is the closest ancestor
+            candidates.sort((a, b) => spans.get(b).start - spans.get(a).start);
+            if (candidates.length > 0 && !isDescendant(candidates[0], key, forks)) {
+                fork.parent = candidates[0];
+            }
+        });
+
+        return forks;
+    }
+
+    function isDescendant(key, ancestor, forks) {
+        const seen = new Set();
+        for (let current = forks.get(key)?.parent; current && !seen.has(current); current = forks.get(current)?.parent) {
+            if (current === ancestor) return true;
+            seen.add(current);
+        }
+        return false;
+    }
+
+    // Swap neighbouring lanes while that lowers the crossing count (the trunk stays on top)
+    function reduceCrossings(order, forks, spans) {
+        const result = [...order];
+        let best = countCrossings(result, forks, spans);
+
+        for (let pass = 0; pass < maxSwapPasses && best > 0; pass++) {
+            let improved = false;
+            for (let i = 1; i < result.length - 1; i++) {
+                [result[i], result[i + 1]] = [result[i + 1], result[i]];
+                const crossings = countCrossings(result, forks, spans);
+                if (crossings < best) {
+                    best = crossings;
+                    improved = true;
+                } else {
+                    [result[i], result[i + 1]] = [result[i + 1], result[i]];
+                }
+            }
+            if (!improved) break;
+        }
+
+        return result;
+    }
+
+    // Lane lines a fork connection passes on its way from the parent lane to the child lane
+    function countCrossings(order, forks, spans) {
+        const index = new Map(order.map((key, i) => [key, i]));
+        let crossings = 0;
+
+        forks.forEach((fork, key) => {
+            if (!index.has(fork.parent) || !index.has(key)) return;
+
+            const from = Math.min(index.get(fork.parent), index.get(key));
+            const to = Math.max(index.get(fork.parent), index.get(key));
+            const connection = { start: fork.time, end: spans.get(key)?.start || fork.time };
+
+            for (let i = from + 1; i < to; i++) {
+                if (overlaps(connection, spans.get(order[i]), 0)) crossings++;
+            }
+        });
+
+        return crossings;
+    }
+
+    function overlaps(a, b, gap) {
+        if (!a || !b) return false;
+        return a.start - gap <= b.end && b.start - gap <= a.end;
+    }
+
+    function getRowGap(spans) {
+        const dates = [...spans.values()].flatMap(span => [span.start, span.end]);
+        if (dates.length === 0) return 0;
+        return (Math.max(...dates) - Math.min(...dates)) * rowGapRatio;
+    }
+
+    return {
+        arrange,
+        assignRows,
+        findTrunk
+    };
+})();
@@ -0,0 +1,63 @@
+// Lane Preferences - per-repository branch lane order, pins and hidden lanes
+// Stored in localStorage as { order: [name], pinned: [name], hidden: [name] }.
+
+const LanePreferences = (() => {
+    const storagePrefix = 'lanius.lanes.';
+
+    function empty() {
+        return { order: [], pinned: [], hidden: [] };
+    }
+
+    function load(repositoryId) {
+        if (!repositoryId) return empty();
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(storagePrefix + repositoryId));
+            return {
+                order: Array.isArray(stored?.order) ? stored.order : [],
+                pinned: Array.isArray(stored?.pinned) ? stored.pinned : [],
+                hidden: Array.isArray(stored?.hidden) ? stored.hidden : []
+            };
+        } catch (err) {
+            console.warn('Could not read lane preferences:', err);
+            return empty();
+        }
+    }
+
+    function save(repositoryId, preferences) {
+        if (!repositoryId) return;
+
+        try {
+            localStorage.setItem(storagePrefix + repositoryId, JSON.stringify(preferences));
+        } catch (err) {
+            console.warn('Could not save lane preferences:', err);
+        }
+    }
+
+    // Lanes ({ key }) top to bottom: pinned first, then the saved order.
+    // Lanes missing from the saved order (new branches) keep their incoming order after the rest.
+    // Hidden lanes are dropped unless includeHidden is set.
+    function arrange(lanes, preferences, { includeHidden = false } = {}) {
+        if (!preferences) return lanes;
+
+        const pinned = new Set(preferences.pinned);
+        const hidden = new Set(preferences.hidden);
+        const orderIndex = new Map(preferences.order.map((key, i) => [key, i]));
+
+        return lanes
+            .map((lane, i) => ({ lane, i }))
+            .filter(({ lane }) => includeHidden || !hidden.has(lane.key))
+            .sort((a, b) =>
+                (pinned.has(b.lane.key) - pinned.has(a.lane.key)) ||
+                ((orderIndex.get(a.lane.key) ?? Infinity) - (orderIndex.get(b.lane.key) ?? Infinity)) ||
+                (a.i - b.i))
+            .map(({ lane }) => lane);
+    }
+
+    return {
+        empty,
+        load,
+        save,
+        arrange
+    };
+})();
@@ -0,0 +1,76 @@
+// Mini Timeline - a one-row strip of recent commits for the dashboard tiles
+// Ticks are sized by changed lines; commits that arrived live are drawn in the foreground colour and pulse once.
+
+const MiniTimeline = (() => {
+    const config = {
+        height: 36,
+        margin: { top: 6, right: 6, bottom: 12, left: 6 },
+        minTick: 4, // Tick height for commits without stats
+        maxTick: 18
+    };
+
+    const formatDay = d3.timeFormat('%b %d');
+
+    // commits: commit objects with timestamp and stats, any order.
+    // options: { start, end } Dates of the strip, live (Set of SHAs received since the page opened).
+    function render(svgElement, commits, { start, end, live = new Set() }) {
+        const svg = d3.select(svgElement);
+        svg.selectAll('*').remove();
+
+        const width = svgElement.clientWidth || 240;
+        svg.attr('height', config.height);
+
+        const plotWidth = width - config.margin.left - config.margin.right;
+        const plotHeight = config.height - config.margin.top - config.margin.bottom;
+        const x = d3.scaleTime().domain([start, end]).range([0, plotWidth]);
+        const changes = commit => (commit.stats?.linesAdded || 0) + (commit.stats?.linesRemoved || 0);
+        const tick = d3.scaleSqrt()
+            .domain([0, d3.max(commits, changes) || 1])
+            .range([config.minTick, Math.min(config.maxTick, plotHeight)]);
+
+        const { muted, commitDefault } = Theme.get().colors;
+        const g = svg.append('g')
+            .attr('transform', `translate(${config.margin.left}, ${config.margin.top})`);
+
+        g.append('line')
+            .attr('class', 'mini-timeline-axis')
+            .attr('x2', plotWidth)
+            .attr('y1', plotHeight)
+            .attr('y2', plotHeight);
+
+        // Oldest first, so live commits end up on top
+        const shown = commits
+            .filter(commit => new Date(commit.timestamp) >= start)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        g.selectAll('.mini-timeline-commit')
+            .data(shown)
+            .enter()
+            .append('line')
+            .attr('class', commit => live.has(commit.sha) ? 'mini-timeline-commit live' : 'mini-timeline-commit')
+            .attr('x1', commit => x(new Date(commit.timestamp)))
+            .attr('x2', commit => x(new Date(commit.timestamp)))
+            .attr('y1', plotHeight)
+            .attr('y2', commit => plotHeight - tick(changes(commit)))
+            .attr('stroke', commit => live.has(commit.sha) ? commitDefault : muted)
+            .append('title')
+            .text(commit => `${commit.sha.substring(0, 7)} ${commit.shortMessage || ''}\n${commit.author} · ${formatDay(new Date(commit.timestamp))}`);
+
+        g.append('text')
+            .attr('class', 'mini-timeline-label')
+            .attr('y', plotHeight + 10)
+            .text(formatDay(start));
+        g.append('text')
+            .attr('class', 'mini-timeline-label')
+            .attr('x', plotWidth)
+            .attr('y', plotHeight + 10)
+            .attr('text-anchor', 'end')
+            .text('now');
+
+        return shown.length;
+    }
+
+    return {
+        render
+    };
+})();
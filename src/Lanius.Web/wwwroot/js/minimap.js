@@ -0,0 +1,161 @@
+// Minimap - an overview strip of the whole timeline under the commit graph
+// One row per lane: a bar over the lane's span in its colour, with commit density as small bars on it.
+// The viewport rectangle marks the dates shown in the graph; drag it to pan, or click the strip to jump there.
+
+const Minimap = (() => {
+    const config = {
+        height: 48,
+        padding: 4, // Above and below the lane rows
+        maxRowHeight: 12,
+        bucketWidth: 3 // Pixels of timeline per density bar
+    };
+
+    let svg, background, content, viewport;
+    let margin = { left: 0, right: 0 };
+    let handlers = {};
+    let hasLanes = false;
+    let visible = null; // { start, end } shown in the graph; null when it shows the whole timeline
+    const x = d3.scaleTime();
+
+    // svgElement: the strip. margin: the graph's, so dates line up with the plot above.
+    // onPan({ start, end }) while the viewport is dragged; onJump(date) when the strip is clicked.
+    function initialize(svgElement, options) {
+        margin = options.margin;
+        handlers = { onPan: options.onPan, onJump: options.onJump };
+
+        svg = d3.select(svgElement).attr('height', config.height);
+
+        const g = svg.append('g')
+            .attr('transform', `translate(${margin.left}, 0)`);
+
+        background = g.append('rect')
+            .attr('class', 'minimap-background')
+            .attr('height', config.height)
+            .on('click', handleClick);
+
+        content = g.append('g')
+            .attr('class', 'minimap-content')
+            .style('pointer-events', 'none');
+
+        // A click without movement still reaches the click handler; d3.drag swallows the one after a drag
+        viewport = g.append('rect')
+            .attr('class', 'minimap-viewport')
+            .attr('y', 1)
+            .attr('height', config.height - 2)
+            .on('click', handleClick)
+            .call(d3.drag()
+                .subject(() => ({ x: +viewport.attr('x') }))
+                .on('drag', handleDrag));
+    }
+
+    // domain: [start, end] of the whole timeline.
+    // lanes: drawn lanes with commits, { key, color, row, start, end }; rows may be shared.
+    // commits: the shown commits; lanesOf(commit): keys of the lanes the commit is drawn on.
+    function render({ domain, lanes, commits, lanesOf }) {
+        const width = Math.max(svg.node().clientWidth - margin.left - margin.right, 0);
+        x.domain(domain).range([0, width]);
+        background.attr('width', width);
+        content.selectAll('*').remove();
+
+        hasLanes = lanes.length > 0 && width > 0;
+        if (!hasLanes) {
+            updateViewport();
+            return;
+        }
+
+        const rowCount = d3.max(lanes, lane => lane.row) + 1;
+        const rowHeight = Math.min(config.maxRowHeight, (config.height - 2 * config.padding) / rowCount);
+        const bucketCount = Math.ceil(width / config.bucketWidth) || 1;
+        const bucketOf = date => Math.max(0, Math.min(bucketCount - 1, Math.floor(x(date) / config.bucketWidth)));
+
+        // Commits per lane and bucket
+        const counts = new Map(lanes.map(lane => [lane.key, new Array(bucketCount).fill(0)]));
+        commits.forEach(commit => {
+            const bucket = bucketOf(new Date(commit.timestamp));
+            lanesOf(commit).forEach(key => {
+                const laneCounts = counts.get(key);
+                if (laneCounts) laneCounts[bucket]++;
+            });
+        });
+
+        const max = d3.max([...counts.values()], laneCounts => d3.max(laneCounts)) || 1;
+        const barHeight = d3.scaleSqrt()
+            .domain([0, max])
+            .range([0, Math.max(rowHeight - 1, 1)]);
+
+        lanes.forEach(lane => {
+            const bottom = config.padding + (lane.row + 1) * rowHeight;
+
+            content.append('line')
+                .attr('class', 'minimap-lane')
+                .attr('x1', x(lane.start))
+                .attr('x2', Math.max(x(lane.end), x(lane.start) + 1))
+                .attr('y1', bottom - 0.5)
+                .attr('y2', bottom - 0.5)
+                .attr('stroke', lane.color);
+
+            content.append('path')
+                .attr('class', 'minimap-density')
+                .attr('d', getDensityPath(counts.get(lane.key), bottom, barHeight))
+                .attr('fill', lane.color);
+        });
+
+        updateViewport();
+    }
+
+    // One bar per bucket with commits, drawn as a single path per lane
+    function getDensityPath(laneCounts, bottom, barHeight) {
+        const path = d3.path();
+        laneCounts.forEach((count, i) => {
+            if (count === 0) return;
+            const height = barHeight(count);
+            path.rect(i * config.bucketWidth, bottom - height, config.bucketWidth - 1, height);
+        });
+        return path.toString();
+    }
+
+    // Dates shown in the graph ({ start, end }), or null when it shows the whole timeline
+    function setViewport(range) {
+        visible = range;
+        updateViewport();
+    }
+
+    function updateViewport() {
+        if (!hasLanes) {
+            viewport.style('display', 'none');
+            return;
+        }
+
+        const [min, max] = x.range();
+        const x0 = visible ? Math.max(min, Math.min(max, x(visible.start))) : min;
+        const x1 = visible ? Math.max(min, Math.min(max, x(visible.end))) : max;
+
+        viewport
+            .style('display', null)
+            .classed('whole', !visible)
+            .attr('x', x0)
+            .attr('width', Math.max(x1 - x0, 2)); // Stays grabbable at deep zoom
+    }
+
+    function handleDrag(event) {
+        if (!visible) return; // The whole timeline is in view: nothing to pan
+
+        const [min, max] = x.range();
+        const width = x(visible.end) - x(visible.start);
+        const left = Math.max(min, Math.min(max - width, event.x));
+        handlers.onPan({ start: x.invert(left), end: x.invert(left + width) });
+    }
+
+    function handleClick(event) {
+        if (!hasLanes) return;
+
+        const [px] = d3.pointer(event, background.node());
+        handlers.onJump(x.invert(px));
+    }
+
+    return {
+        initialize,
+        render,
+        setViewport
+    };
+})();
@@ -0,0 +1,43 @@
+// Recent Repositories - remembers recently used repositories in localStorage
+// Only ids and URLs are stored; counts and fetch times come from the API when the list is shown.
+
+const RecentRepositories = (() => {
+    const storageKey = 'lanius.recentRepositories';
+    const maxEntries = 10;
+
+    // Most recently used first: [{ id, url, lastUsedAt }]
+    function list() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(storageKey));
+            return Array.isArray(entries) ? entries.filter(entry => entry && entry.id) : [];
+        } catch (err) {
+            console.warn('Could not read recent repositories:', err);
+            return [];
+        }
+    }
+
+    function remember(repo) {
+        const entries = list().filter(entry => entry.id !== repo.id);
+        entries.unshift({ id: repo.id, url: repo.url, lastUsedAt: new Date().toISOString() });
+        save(entries.slice(0, maxEntries));
+    }
+
+    function forget(id) {
+        save(list().filter(entry => entry.id !== id));
+    }
+
+    function save(entries) {
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(entries));
+        } catch (err) {
+            // Storage full or disabled (private browsing) - the list just isn't persisted
+            console.warn('Could not save recent repositories:', err);
+        }
+    }
+
+    return {
+        list,
+        remember,
+        forget
+    };
+})();
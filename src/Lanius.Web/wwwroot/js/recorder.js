@@ -0,0 +1,176 @@
+// Replay Recorder - captures the replay animation to a WebM video
+// Frames are the graph SVG drawn onto a canvas (plus a date/stats overlay),
+// streamed with canvas.captureStream() into a MediaRecorder. With the canvas renderer
+// active its layer is drawn straight onto the frame instead of going through the SVG.
+
+const ReplayRecorder = (() => {
+    const config = {
+        fps: 10,
+        videoBitsPerSecond: 4000000,
+        mimeTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    };
+
+    let canvas = null;
+    let context = null;
+    let recorder = null;
+    let frameTimer = null;
+    let drawingFrame = false;
+    let chunks = [];
+    let options = null;
+    let styleCache = null; // Computed styles reused between frames (see GraphExport.snapshot)
+
+    function isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+            config.mimeTypes.some(type => MediaRecorder.isTypeSupported(type));
+    }
+
+    function isRecording() {
+        return recorder !== null;
+    }
+
+    // getOverlay() returns { date, lines } for the current frame;
+    // fileName is used for the download once recording stops
+    function start({ getOverlay, fileName }) {
+        if (recorder) return;
+        if (!isSupported()) {
+            throw new Error('Video recording is not supported in this browser');
+        }
+
+        options = { getOverlay, fileName };
+        styleCache = new Map();
+
+        // Frame size is fixed for the whole recording
+        const { width, height } = GraphExport.snapshot({ includeCanvas: false, styleCache });
+        canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        context = canvas.getContext('2d');
+
+        const mimeType = config.mimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+        recorder = new MediaRecorder(canvas.captureStream(config.fps), {
+            mimeType,
+            videoBitsPerSecond: config.videoBitsPerSecond
+        });
+
+        chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+
+        recorder.start(1000);
+        frameTimer = setInterval(drawFrame, 1000 / config.fps);
+        drawFrame();
+
+        console.log('Replay recording started:', mimeType);
+    }
+
+    function pause() {
+        if (recorder?.state === 'recording') recorder.pause();
+    }
+
+    function resume() {
+        if (recorder?.state === 'paused') recorder.resume();
+    }
+
+    // Draw the final frame, then finish the file and download it
+    async function stop() {
+        if (!recorder) return;
+
+        const activeRecorder = recorder;
+        const { fileName } = options;
+        recorder = null;
+        clearInterval(frameTimer);
+        frameTimer = null;
+
+        if (activeRecorder.state === 'paused') activeRecorder.resume();
+        await drawFrame(true);
+
+        const finished = new Promise(resolve => {
+            activeRecorder.onstop = resolve;
+        });
+        activeRecorder.stop();
+        await finished;
+
+        activeRecorder.stream.getTracks().forEach(track => track.stop());
+
+        const blob = new Blob(chunks, { type: 'video/webm' });
+        chunks = [];
+        canvas = null;
+        context = null;
+        options = null;
+        styleCache = null;
+
+        GraphExport.download(blob, `${fileName}.webm`);
+        console.log('Replay recording saved:', blob.size, 'bytes');
+    }
+
+    async function drawFrame(force = false) {
+        // Skip a tick if the previous frame is still rendering
+        if (drawingFrame && !force) return;
+        if (!context) return;
+
+        drawingFrame = true;
+        try {
+            const { markup, height, graphHeight } = GraphExport.snapshot({ includeCanvas: false, styleCache });
+            const image = await GraphExport.loadImage(markup);
+            if (!context) return;
+
+            context.clearRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+            const canvasLayer = Visualization.getCanvasLayer();
+            if (canvasLayer) {
+                context.drawImage(canvasLayer, 0, 0, canvas.width, graphHeight * canvas.height / height);
+            }
+
+            drawOverlay(options.getOverlay());
+        } catch (err) {
+            console.error('Recording frame error:', err);
+        } finally {
+            drawingFrame = false;
+        }
+    }
+
+    function drawOverlay({ date, lines }) {
+        const padding = 12;
+        const lineHeight = 16;
+        const boxWidth = 220;
+        const boxHeight = padding * 2 + 22 + lines.length * lineHeight;
+        const x = canvas.width - boxWidth - padding;
+        const y = canvas.height - boxHeight - padding;
+
+        // Page colours of the active theme
+        const style = getComputedStyle(document.documentElement);
+        const color = name => style.getPropertyValue(name).trim();
+
+        context.save();
+        context.globalAlpha = 0.9;
+        context.fillStyle = color('--bg-primary');
+        context.fillRect(x, y, boxWidth, boxHeight);
+        context.globalAlpha = 1;
+        context.strokeStyle = color('--line-color');
+        context.lineWidth = 1;
+        context.strokeRect(x + 0.5, y + 0.5, boxWidth - 1, boxHeight - 1);
+
+        context.fillStyle = color('--fg-primary');
+        context.font = '600 16px "SF Mono", Monaco, Inconsolata, "Courier New", monospace';
+        context.fillText(date, x + padding, y + padding + 14);
+
+        context.fillStyle = color('--fg-secondary');
+        context.font = '11px "SF Mono", Monaco, Inconsolata, "Courier New", monospace';
+        lines.forEach((line, i) => {
+            context.fillText(line, x + padding, y + padding + 22 + (i + 1) * lineHeight - 4);
+        });
+        context.restore();
+    }
+
+    return {
+        isSupported,
+        isRecording,
+        start,
+        pause,
+        resume,
+        stop
+    };
+})();
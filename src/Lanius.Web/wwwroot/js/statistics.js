@@ -0,0 +1,235 @@
+// Commit Statistics - running totals and weekly series of the commits on screen, plus the sidebar charts
+// The model is filled once per load and grows commit by commit during replay and monitoring.
+// Weekly buckets are kept per breakdown: everything, per branch (a shared commit counts for
+// each of its branches) and per author.
+
+const CommitStatistics = (() => {
+    const breakdowns = ['none', 'branch', 'author'];
+    const allKey = 'All commits';
+
+    const chart = {
+        height: 64,
+        margin: { top: 4, right: 4, bottom: 14, left: 28 },
+        maxSeries: 5, // Larger breakdowns fold the rest into "Other"
+        otherKey: 'Other'
+    };
+
+    function create() {
+        const seen = new Set();
+        const totals = emptyBucket();
+        // breakdown -> week start (ms) -> group key -> bucket
+        const weekly = new Map(breakdowns.map(breakdown => [breakdown, new Map()]));
+
+        function reset(commits = []) {
+            seen.clear();
+            Object.assign(totals, emptyBucket());
+            weekly.forEach(weeks => weeks.clear());
+            commits.forEach(add);
+        }
+
+        // Returns false for a commit that is already counted
+        function add(commit) {
+            if (seen.has(commit.sha)) return false;
+            seen.add(commit.sha);
+
+            addToBucket(totals, commit);
+
+            const week = d3.timeWeek.floor(new Date(commit.timestamp)).getTime();
+            breakdowns.forEach(breakdown => {
+                getGroupKeys(commit, breakdown).forEach(key => {
+                    const weeks = weekly.get(breakdown);
+                    if (!weeks.has(week)) weeks.set(week, new Map());
+                    const groups = weeks.get(week);
+                    if (!groups.has(key)) groups.set(key, emptyBucket());
+                    addToBucket(groups.get(key), commit);
+                });
+            });
+            return true;
+        }
+
+        function getTotals() {
+            return { ...totals };
+        }
+
+        // Every week in range (default: all counted weeks), oldest first:
+        // { weeks: [Date], keys: [group key, biggest first], bucket(week, key) }
+        function getWeekly({ breakdown = 'none', range = null } = {}) {
+            const weeks = weekly.get(breakdown) || weekly.get('none');
+            const counted = [...weeks.keys()];
+            if (counted.length === 0) return { weeks: [], keys: [], bucket: () => emptyBucket() };
+
+            const start = d3.timeWeek.floor(range ? range.start : new Date(Math.min(...counted)));
+            const end = range ? range.end : new Date(Math.max(...counted) + 1);
+            const shown = d3.timeWeeks(start, end);
+
+            const sizes = new Map();
+            shown.forEach(week => {
+                weeks.get(week.getTime())?.forEach((bucket, key) => {
+                    sizes.set(key, (sizes.get(key) || 0) + bucket.commits);
+                });
+            });
+
+            return {
+                weeks: shown,
+                keys: [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a)),
+                bucket: (week, key) => weeks.get(week.getTime())?.get(key) || emptyBucket()
+            };
+        }
+
+        return {
+            reset,
+            add,
+            getTotals,
+            getWeekly
+        };
+    }
+
+    function emptyBucket() {
+        return { commits: 0, linesAdded: 0, linesRemoved: 0, filesChanged: 0 };
+    }
+
+    function addToBucket(bucket, commit) {
+        bucket.commits++;
+        bucket.linesAdded += commit.stats?.linesAdded || 0;
+        bucket.linesRemoved += commit.stats?.linesRemoved || 0;
+        bucket.filesChanged += commit.stats?.filesChanged || 0;
+    }
+
+    function getGroupKeys(commit, breakdown) {
+        switch (breakdown) {
+            case 'branch':
+                return commit.branches?.length ? commit.branches : [allKey];
+            case 'author':
+                return [commit.author || 'Unknown'];
+            default:
+                return [allKey];
+        }
+    }
+
+    // Stacked weekly bars of one metric: 'lines' (added up, removed down), 'commits' or 'filesChanged'.
+    // colorOf(key) colours a breakdown group; returns the legend entries drawn ({ key, color }).
+    function renderChart(svgElement, data, { metric, colorOf, onSelectWeek }) {
+        const svg = d3.select(svgElement);
+        svg.selectAll('*').remove();
+
+        const width = svgElement.clientWidth || 240;
+        svg.attr('height', chart.height);
+        if (data.weeks.length === 0) return [];
+
+        const colors = Theme.get().statistics;
+        const series = getSeries(data, colorOf);
+        const stacks = metric === 'lines'
+            ? [{ field: 'linesAdded', sign: 1 }, { field: 'linesRemoved', sign: -1 }]
+            : [{ field: metric, sign: 1 }];
+
+        const totalOf = (week, field) => d3.sum(series, s => s.value(week, field));
+        const up = d3.max(data.weeks, week => totalOf(week, stacks[0].field)) || 0;
+        const down = stacks[1] ? d3.max(data.weeks, week => totalOf(week, stacks[1].field)) || 0 : 0;
+
+        const plotWidth = width - chart.margin.left - chart.margin.right;
+        const plotHeight = chart.height - chart.margin.top - chart.margin.bottom;
+        const x = d3.scaleBand().domain(data.weeks.map(week => week.getTime())).range([0, plotWidth]).paddingInner(0.15);
+        const y = d3.scaleLinear().domain([-down, Math.max(up, 1)]).range([plotHeight, 0]);
+
+        const g = svg.append('g')
+            .attr('transform', `translate(${chart.margin.left}, ${chart.margin.top})`);
+
+        // Clicking a week (bar or empty slot) shows that week in the graph
+        const selectWeek = (event, week) => onSelectWeek?.({ start: week, end: d3.timeWeek.offset(week, 1) });
+
+        g.selectAll('.stats-week')
+            .data(data.weeks)
+            .enter()
+            .append('rect')
+            .attr('class', 'stats-week')
+            .attr('x', week => x(week.getTime()))
+            .attr('width', x.bandwidth())
+            .attr('height', plotHeight)
+            .attr('fill', 'transparent')
+            .on('click', selectWeek);
+
+        stacks.forEach(({ field, sign }) => {
+            data.weeks.forEach(week => {
+                let offset = 0;
+                series.forEach(s => {
+                    const value = s.value(week, field);
+                    if (value === 0) return;
+
+                    const from = offset;
+                    offset += value;
+                    g.append('rect')
+                        .attr('class', `stats-bar stats-${field}`)
+                        .attr('x', x(week.getTime()))
+                        .attr('width', x.bandwidth())
+                        .attr('y', sign > 0 ? y(offset) : y(-from))
+                        .attr('height', Math.abs(y(from) - y(offset)))
+                        .attr('fill', series.length > 1 ? s.color : (sign > 0 ? colors.added : colors.removed))
+                        .attr('opacity', sign > 0 ? 1 : 0.5)
+                        .on('click', event => selectWeek(event, week))
+                        .append('title')
+                        .text(`${d3.timeFormat('%b %d, %Y')(week)}${series.length > 1 ? ` - ${s.key}` : ''}: ${sign > 0 ? '' : '-'}${value} ${getMetricLabel(field)}`);
+                });
+            });
+        });
+
+        g.append('line')
+            .attr('class', 'stats-baseline')
+            .attr('x2', plotWidth)
+            .attr('y1', y(0))
+            .attr('y2', y(0));
+
+        g.append('g')
+            .attr('class', 'stats-axis')
+            .call(d3.axisLeft(y).ticks(3).tickSize(2).tickFormat(d3.format('~s')));
+
+        const first = data.weeks[0];
+        const last = data.weeks[data.weeks.length - 1];
+        g.append('text')
+            .attr('class', 'stats-axis-label')
+            .attr('y', plotHeight + 11)
+            .text(d3.timeFormat('%b %d, %Y')(first));
+        g.append('text')
+            .attr('class', 'stats-axis-label')
+            .attr('x', plotWidth)
+            .attr('y', plotHeight + 11)
+            .attr('text-anchor', 'end')
+            .text(d3.timeFormat('%b %d, %Y')(last));
+
+        return series.length > 1 ? series.map(s => ({ key: s.key, color: s.color })) : [];
+    }
+
+    // The biggest groups keep their own colour; the rest are summed into "Other"
+    function getSeries(data, colorOf) {
+        const own = data.keys.slice(0, chart.maxSeries);
+        const rest = data.keys.slice(chart.maxSeries);
+
+        const series = own.map(key => ({
+            key,
+            color: colorOf(key),
+            value: (week, field) => data.bucket(week, key)[field]
+        }));
+
+        if (rest.length > 0) {
+            series.push({
+                key: chart.otherKey,
+                color: Theme.get().statistics.other,
+                value: (week, field) => d3.sum(rest, key => data.bucket(week, key)[field])
+            });
+        }
+        return series;
+    }
+
+    function getMetricLabel(field) {
+        switch (field) {
+            case 'linesAdded': return 'lines added';
+            case 'linesRemoved': return 'lines removed';
+            case 'filesChanged': return 'files changed';
+            default: return 'commits';
+        }
+    }
+
+    return {
+        create,
+        renderChart
+    };
+})();
@@ -0,0 +1,136 @@
+// Themes - light, dark and colour-blind-safe palettes
+// Page colours are CSS variables switched by data-theme on <html> (see styles.css); the graph,
+// canvas and charts read theirs from the active theme here. The choice is kept in localStorage
+// and shared by every page and repository.
+
+const Theme = (() => {
+    const storageKey = 'lanius.theme';
+
+    const themes = {
+        light: {
+            label: 'Light',
+            colors: {
+                commitDefault: '#1a1a1a',
+                commitAdditions: '#0a0a0a', // Commit fill shades towards these with the add/remove balance
+                commitDeletions: '#5a5a5a',
+                link: '#4a4a4a',
+                branchLabel: '#666666',
+                gridMajor: '#d0d0d0',
+                gridMinor: '#f0f0f0',
+                gridLabel: '#aaaaaa',
+                muted: '#999999',
+                compare: {
+                    base: '#1565c0',
+                    compare: '#ef6c00',
+                    ancestor: '#000000'
+                }
+            },
+            // Default branch rule colours (see branch-colors.js), then lanes no rule matches
+            ruleColors: { main: '#2d2d2d', release: '#4a90e2', feature: '#7ed321', fix: '#e74c3c', dependencies: '#9b59b6' },
+            lanePalette: ['#34495e', '#16a085', '#f39c12', '#e67e22', '#95a5a6'],
+            chartPalette: d3.schemeTableau10, // Authors and statistics groups
+            heatmap: { empty: '#eeeeee', from: '#f7f7f7', to: '#000000' },
+            statistics: { added: '#2d2d2d', removed: '#999999', other: '#bbbbbb' }
+        },
+        dark: {
+            label: 'Dark',
+            colors: {
+                commitDefault: '#d8d8d8',
+                commitAdditions: '#ffffff',
+                commitDeletions: '#8a8a8a',
+                link: '#9a9a9a',
+                branchLabel: '#999999',
+                gridMajor: '#3a3a3a',
+                gridMinor: '#262626',
+                gridLabel: '#777777',
+                muted: '#777777',
+                compare: {
+                    base: '#64b5f6',
+                    compare: '#ffb74d',
+                    ancestor: '#ffffff'
+                }
+            },
+            ruleColors: { main: '#e0e0e0', release: '#64b5f6', feature: '#9ccc65', fix: '#ef5350', dependencies: '#ba68c8' },
+            lanePalette: ['#90a4ae', '#4db6ac', '#ffca28', '#ffa726', '#bdbdbd'],
+            chartPalette: d3.schemeSet2,
+            heatmap: { empty: '#262626', from: '#303030', to: '#ffffff' },
+            statistics: { added: '#d8d8d8', removed: '#777777', other: '#555555' }
+        },
+        // Okabe-Ito colours, distinguishable with the common forms of colour blindness
+        colorblind: {
+            label: 'Colour-blind safe',
+            colors: {
+                commitDefault: '#1a1a1a',
+                commitAdditions: '#0a0a0a',
+                commitDeletions: '#5a5a5a',
+                link: '#4a4a4a',
+                branchLabel: '#666666',
+                gridMajor: '#d0d0d0',
+                gridMinor: '#f0f0f0',
+                gridLabel: '#aaaaaa',
+                muted: '#999999',
+                compare: {
+                    base: '#0072b2',
+                    compare: '#d55e00',
+                    ancestor: '#000000'
+                }
+            },
+            ruleColors: { main: '#000000', release: '#0072b2', feature: '#009e73', fix: '#d55e00', dependencies: '#cc79a7' },
+            lanePalette: ['#e69f00', '#56b4e9', '#f0e442', '#999999'],
+            chartPalette: ['#0072b2', '#e69f00', '#009e73', '#cc79a7', '#56b4e9', '#d55e00', '#f0e442', '#000000'],
+            heatmap: { empty: '#eeeeee', from: '#f7f7f7', to: '#000000' },
+            statistics: { added: '#0072b2', removed: '#e69f00', other: '#bbbbbb' }
+        }
+    };
+
+    const defaultTheme = 'light';
+    let current = load();
+
+    function load() {
+        try {
+            const stored = localStorage.getItem(storageKey);
+            return themes[stored] ? stored : defaultTheme;
+        } catch (err) {
+            console.warn('Could not read theme:', err);
+            return defaultTheme;
+        }
+    }
+
+    // Switch the page to a theme and remember it. Returns false for an unknown name.
+    function apply(name) {
+        if (!themes[name]) return false;
+
+        current = name;
+        document.documentElement.dataset.theme = name;
+
+        try {
+            localStorage.setItem(storageKey, name);
+        } catch (err) {
+            console.warn('Could not save theme:', err);
+        }
+        return true;
+    }
+
+    function get() {
+        return themes[current];
+    }
+
+    function getName() {
+        return current;
+    }
+
+    // [{ name, label }] for the theme picker
+    function list() {
+        return Object.entries(themes).map(([name, theme]) => ({ name, label: theme.label }));
+    }
+
+    // Pages load with the light variables; switch before anything is drawn
+    document.documentElement.dataset.theme = current;
+
+    return {
+        apply,
+        get,
+        getName,
+        list
+    };
+})();
@@ -0,0 +1,80 @@
+// View Link - encodes the current view in the page URL so it can be shared and restored
+// ?repo=<id>&branches=<patterns>&layout=auto|authors&history=full&from=<iso>&to=<iso>
+//  &replay=<iso>..<iso>&speed=2&commit=<sha>
+// Defaults (branch layout, overview, all history, 1x speed) are left out of the URL.
+
+const ViewLink = (() => {
+    const defaults = {
+        layoutMode: 'branches',
+        speed: 1
+    };
+
+    const layoutModes = ['branches', 'auto', 'authors'];
+
+    // Parse the current URL into a view; missing values fall back to the defaults
+    function read() {
+        const params = new URLSearchParams(window.location.search);
+        const speed = parseFloat(params.get('speed'));
+
+        return {
+            repositoryId: params.get('repo'),
+            branches: params.get('branches') || '',
+            layoutMode: layoutModes.includes(params.get('layout')) ? params.get('layout') : defaults.layoutMode,
+            fullHistory: params.get('history') === 'full',
+            zoom: parseRange(params.get('from'), params.get('to')),
+            replayWindow: parseRange(...(params.get('replay') || '').split('..')),
+            speed: Number.isFinite(speed) && speed > 0 ? speed : defaults.speed,
+            commit: params.get('commit')
+        };
+    }
+
+    function toQuery(view) {
+        const params = new URLSearchParams();
+        if (!view.repositoryId) return '';
+
+        params.set('repo', view.repositoryId);
+        if (view.branches) params.set('branches', view.branches);
+        if (view.layoutMode !== defaults.layoutMode) params.set('layout', view.layoutMode);
+        if (view.fullHistory) params.set('history', 'full');
+        if (view.zoom) {
+            params.set('from', view.zoom.start.toISOString());
+            params.set('to', view.zoom.end.toISOString());
+        }
+        if (view.replayWindow) {
+            params.set('replay', `${view.replayWindow.start.toISOString()}..${view.replayWindow.end.toISOString()}`);
+        }
+        if (view.speed !== defaults.speed) params.set('speed', view.speed);
+        if (view.commit) params.set('commit', view.commit);
+
+        // Keep pattern characters readable in the address bar
+        return `?${params.toString().replace(/%2C/g, ',').replace(/%2F/g, '/').replace(/%2A/g, '*').replace(/%3A/g, ':')}`;
+    }
+
+    // Returns false when the URL already describes this view
+    function write(view, { push = false } = {}) {
+        const query = toQuery(view);
+        if (query === window.location.search) return false;
+
+        const url = `${window.location.pathname}${query}${window.location.hash}`;
+        if (push) {
+            history.pushState(null, '', url);
+        } else {
+            history.replaceState(null, '', url);
+        }
+        return true;
+    }
+
+    function parseRange(start, end) {
+        if (!start || !end) return null;
+
+        const range = { start: new Date(start), end: new Date(end) };
+        if (isNaN(range.start) || isNaN(range.end) || range.start >= range.end) return null;
+        return range;
+    }
+
+    return {
+        read,
+        toQuery,
+        write
+    };
+})();
@@ -3,6 +3,18 @@
 
 const Visualization = (() => {
     let svg, g, xScale, yScale;
+    let zoom, zoomSurface;
+    let zoomTransform = d3.zoomIdentity;
+    let brush, brushGroup;
+    let replayWindow = null; // [startDate, endDate] brushed on the timeline axis
+    let useCanvas = false; // Commits and connections drawn by CanvasRenderer instead of SVG
+    let authorModel = null; // Author lanes for the swimlane layout, built lazily from commitData
+    let ownerRanks = null; // Branch name -> rank for placing shared commits (lowest rank owns), built lazily
+    let autoLanes = null; // Lanes arranged by the automatic layout, built lazily (see getLanes)
+    let searchMatches = null; // SHAs matching the commit search; null when no search is active
+    let comparison = null; // { base, compare, ancestor } branch names and common ancestor commit
+    let keyboardPosition = null; // { commit, lane } the arrow keys move from (see graph-navigation.js)
+    let minimapTimer = null; // Pending minimap redraw while commits stream in
     let commitData = [];
     let branchData = [];
     
@@ -12,14 +24,15 @@ const Visualization = (() => {
         commitRadiusHover: 6,
         lineWidth: 1,
         branchSpacing: 40,
-        colors: {
-            commitDefault: '#1a1a1a',
-            commitAdditions: '#2d2d2d',
-            commitDeletions: '#0a0a0a',
-            link: '#4a4a4a',
-            branchLine: '#1a1a1a',
-            branchLabel: '#666666'
-        }
+        maxZoom: 1000,
+        focusZoom: 4, // Minimum zoom level when centring on a commit
+        minTickSpacing: 12, // Minimum pixels between grid lines before switching to a coarser level
+        minLabelSpacing: 28, // Minimum pixels between minor labels
+        brushTop: -50, // Vertical band of the timeline axis that accepts range brushing
+        brushBottom: -8,
+        canvasThreshold: 2000, // Switch to the canvas renderer above this many commits
+        minimapInterval: 250, // Minimum milliseconds between minimap redraws during replay and monitoring
+        colors: { ...Theme.get().colors } // Updated in place on a theme switch (the canvas renderer shares it)
     };
 
     function initialize() {
@@ -41,6 +54,69 @@ const Visualization = (() => {
         yScale = d3.scaleLinear()
             .range([0, height - config.margin.top - config.margin.bottom]);
 
+        // Transparent surface so wheel/drag events anywhere on the plot reach the zoom behavior.
+        // Zoom is attached to the g group so pointer coordinates match the scale ranges.
+        zoomSurface = g.append('rect')
+            .attr('class', 'zoom-surface')
+            .attr('fill', 'transparent')
+            .style('pointer-events', 'all');
+
+        zoom = d3.zoom()
+            .scaleExtent([1, config.maxZoom])
+            .on('zoom', handleZoom)
+            .on('end', () => {
+                window.LaniusApp?.updateViewLink();
+                window.LaniusApp?.scheduleStatistics();
+            });
+
+        g.call(zoom);
+
+        svg.on('keydown', handleGraphKeydown);
+
+        // Brushing on the timeline axis selects the replay window.
+        // The shade spans all lanes; the brush itself only covers the axis band.
+        brushGroup = g.append('g')
+            .attr('class', 'replay-brush')
+            .style('display', 'none');
+
+        brushGroup.append('rect')
+            .attr('class', 'replay-window-shade')
+            .style('pointer-events', 'none');
+
+        brush = d3.brushX()
+            .on('end', handleBrushEnd);
+
+        updateZoomExtent(width, height);
+
+        CanvasRenderer.initialize({
+            svg: svg.node(),
+            eventTarget: g.node(),
+            margin: config.margin,
+            colors: config.colors,
+            lineWidth: config.lineWidth,
+            commitRadius: config.commitRadius,
+            commitRadiusHover: config.commitRadiusHover,
+            getXScale: getZoomedXScale,
+            getCommitY,
+            getGhostOffsets,
+            getLaneYMap,
+            getCommitSize,
+            getCommitColor,
+            isDimmed,
+            getCommitMark,
+            getConnections,
+            getNewCommitConnections,
+            onHover: showTooltip,
+            onLeave: hideTooltip,
+            onClick: commit => window.LaniusApp.showCommitDetail(commit)
+        });
+
+        Minimap.initialize(document.getElementById('graph-minimap'), {
+            margin: config.margin,
+            onPan: setVisibleRange,
+            onJump: date => centreOn(date)
+        });
+
         // Handle window resize
         window.addEventListener('resize', debounce(handleResize, 250));
     }
@@ -51,6 +127,9 @@ const Visualization = (() => {
         
         commitData = commits;
         branchData = branches;
+        authorModel = null;
+        ownerRanks = null;
+        autoLanes = null;
 
         if (commits.length === 0) {
             console.warn('No commits to render');
@@ -69,14 +148,17 @@ const Visualization = (() => {
         console.log('All branch names:', branches.map(b => b.name));
 
         try {
-            const branchYMap = updateScales();
-            console.log('Branch Y positions:', Array.from(branchYMap.entries()));
+            const laneYMap = updateScales();
+            console.log('Lane Y positions:', Array.from(laneYMap.entries()));
             console.log('X scale domain:', xScale.domain());
             console.log('X scale range:', xScale.range());
             
             renderTimelineGrid();
             renderBranchLines();
             renderCommits();
+            brushGroup.style('display', null);
+            updateReplayWindowPosition();
+            renderMinimap();
             console.log('=== Visualization.render COMPLETE ===');
         } catch (error) {
             console.error('Error rendering visualization:', error);
@@ -84,92 +166,106 @@ const Visualization = (() => {
         }
     }
 
+    // Time granularities for the semantic x-axis, finest first.
+    // Each level is used as the minor tick level once its average width is wide enough,
+    // with the next coarser level drawn as major ticks.
+    const timeLevels = [
+        { name: 'day', interval: d3.timeDay, days: 1, format: d3.timeFormat('%d'), majorFormat: d3.timeFormat('%b %d') },
+        { name: 'week', interval: d3.timeWeek, days: 7, format: d3.timeFormat('%b %d'), majorFormat: d3.timeFormat('%b %d') },
+        { name: 'month', interval: d3.timeMonth, days: 30, format: d3.timeFormat('%b'), majorFormat: d3.timeFormat('%b %Y') },
+        { name: 'year', interval: d3.timeYear, days: 365, format: d3.timeFormat('%Y'), majorFormat: d3.timeFormat('%Y') }
+    ];
+
+    function getTimeLevels(x) {
+        const [minDate, maxDate] = x.domain();
+        const [rangeStart, rangeEnd] = x.range();
+        const days = Math.max((maxDate - minDate) / (1000 * 60 * 60 * 24), 1 / 24);
+        const pxPerDay = (rangeEnd - rangeStart) / days;
+
+        // Pick the finest level whose ticks are not too dense
+        const minorIndex = timeLevels.findIndex(level => level.days * pxPerDay >= config.minTickSpacing);
+        if (minorIndex === -1 || minorIndex === timeLevels.length - 1) {
+            // Even months are too dense (or only years fit) - draw years only
+            return { major: timeLevels[timeLevels.length - 1], minor: null };
+        }
+
+        return {
+            major: timeLevels[minorIndex + 1],
+            minor: timeLevels[minorIndex],
+            showMinorLabels: timeLevels[minorIndex].days * pxPerDay >= config.minLabelSpacing
+        };
+    }
+
     function renderTimelineGrid() {
         // Clear existing grid
         g.selectAll('.timeline-grid').remove();
         g.selectAll('.timeline-label').remove();
 
-        const [minDate, maxDate] = xScale.domain();
-        
-        // Create grid group
-        const gridGroup = g.append('g').attr('class', 'timeline-grid');
-        
-        // Generate year boundaries
-        const years = [];
-        let currentYear = minDate.getFullYear();
-        const maxYear = maxDate.getFullYear();
-        
-        while (currentYear <= maxYear) {
-            const yearDate = new Date(currentYear, 0, 1); // January 1st
-            if (yearDate >= minDate && yearDate <= maxDate) {
-                years.push({ date: yearDate, year: currentYear });
-            }
-            currentYear++;
-        }
+        const x = getZoomedXScale();
+        const [minDate, maxDate] = x.domain();
+        const levels = getTimeLevels(x);
+
+        // Create grid group (inserted behind everything else)
+        const gridGroup = g.insert('g', '.zoom-surface + *').attr('class', 'timeline-grid');
+        const labelGroup = g.insert('g', '.zoom-surface + *').attr('class', 'timeline-label');
+
+        const majorTicks = levels.major.interval.range(
+            levels.major.interval.floor(minDate),
+            d3.timeMillisecond.offset(maxDate, 1)
+        ).filter(date => date >= minDate);
+
+        // Draw vertical grid lines for each major tick
+        majorTicks.forEach(date => {
+            const tickX = x(date);
 
-        // Draw vertical grid lines for each year
-        years.forEach(item => {
-            const x = xScale(item.date);
-            
             gridGroup.append('line')
-                .attr('x1', x)
-                .attr('y1', -10) // Start just above branches (was -config.margin.top + 30)
-                .attr('x2', x)
+                .attr('x1', tickX)
+                .attr('y1', -10) // Start just above branches
+                .attr('x2', tickX)
                 .attr('y2', yScale.range()[1])
-                .attr('stroke', '#d0d0d0')
+                .attr('stroke', config.colors.gridMajor)
                 .attr('stroke-width', 1)
                 .attr('opacity', 0.4);
-        });
 
-        // Draw labels at top for years - more compact positioning
-        const labelGroup = g.append('g').attr('class', 'timeline-label');
-        
-        years.forEach(item => {
-            const x = xScale(item.date);
-            
-            // Draw year label - more compact positioning
             labelGroup.append('text')
-                .attr('x', x + 5)
-                .attr('y', -20) // Closer to branches (was -config.margin.top + 25)
+                .attr('x', tickX + 5)
+                .attr('y', -20)
                 .attr('font-size', '11px')
                 .attr('font-weight', 'bold')
                 .attr('fill', config.colors.commitDefault)
-                .text(item.year);
+                .text(levels.major.majorFormat(date));
         });
-        
-        // Add month markers (very light, minimal) within each year
-        const months = [];
-        let currentDate = new Date(minDate);
-        currentDate.setDate(1); // Start of month
-        currentDate.setHours(0, 0, 0, 0);
-        
-        while (currentDate <= maxDate) {
-            months.push(new Date(currentDate));
-            currentDate.setMonth(currentDate.getMonth() + 1);
-        }
 
-        // Draw very light month lines (minimal visual impact)
-        months.forEach(date => {
-            const x = xScale(date);
-            
+        if (!levels.minor) return;
+
+        // Very light minor lines (minimal visual impact), skipping those under a major line
+        const majorTimes = new Set(majorTicks.map(date => date.getTime()));
+        const minorTicks = levels.minor.interval.range(
+            levels.minor.interval.ceil(minDate),
+            d3.timeMillisecond.offset(maxDate, 1)
+        ).filter(date => !majorTimes.has(date.getTime()));
+
+        minorTicks.forEach(date => {
+            const tickX = x(date);
+
             gridGroup.append('line')
-                .attr('x1', x)
+                .attr('x1', tickX)
                 .attr('y1', -5) // Start just above branches
-                .attr('x2', x)
+                .attr('x2', tickX)
                 .attr('y2', yScale.range()[1])
-                .attr('stroke', '#f0f0f0')
+                .attr('stroke', config.colors.gridMinor)
                 .attr('stroke-width', 0.5)
                 .attr('opacity', 0.15);
-            
-            // Add tiny month label (optional - can remove if too cluttered)
-            const month = date.toLocaleDateString('en-US', { month: 'short' });
-            labelGroup.append('text')
-                .attr('x', x + 2)
-                .attr('y', -5) // Very close to branches (was -config.margin.top + 45)
-                .attr('font-size', '8px')
-                .attr('fill', '#aaa')
-                .attr('opacity', 0.5)
-                .text(month);
+
+            if (levels.showMinorLabels) {
+                labelGroup.append('text')
+                    .attr('x', tickX + 2)
+                    .attr('y', -5) // Very close to branches
+                    .attr('font-size', '8px')
+                    .attr('fill', config.colors.gridLabel)
+                    .attr('opacity', 0.5)
+                    .text(levels.minor.format(date));
+            }
         });
     }
 
@@ -177,75 +273,164 @@ const Visualization = (() => {
         const timestamps = commitData.map(c => new Date(c.timestamp));
         xScale.domain(d3.extent(timestamps));
 
-        // Assign y-positions based on branches
-        const branchYMap = new Map();
-        branchData.forEach((branch, i) => {
-            branchYMap.set(branch.name, i * config.branchSpacing);
-        });
+        // Assign y-positions based on lanes (branches or authors)
+        const laneYMap = getLaneYMap();
 
-        yScale.domain([0, branchData.length * config.branchSpacing]);
+        const rowCount = new Set(laneYMap.values()).size;
+        yScale.domain([0, rowCount * config.branchSpacing]);
         
-        return branchYMap;
+        return laneYMap;
+    }
+
+    function isAuthorLayout() {
+        return window.LaniusApp?.state.layoutMode === 'authors';
+    }
+
+    function getAuthorModel() {
+        if (!authorModel) {
+            const groups = AuthorModel.parseGroups(window.LaniusApp?.state.authorGroups);
+            authorModel = AuthorModel.build(commitData, groups, Theme.get().chartPalette);
+            window.LaniusApp?.updateAuthorLegend(authorModel.lanes);
+        }
+        return authorModel;
+    }
+
+    function isAutoLayout() {
+        return window.LaniusApp?.state.layoutMode === 'auto';
+    }
+
+    // Lanes top to bottom: { key, label, color, row, branch? }.
+    // Branch lanes come from branchData, arranged by the lane preferences (order, pins, hidden);
+    // the automatic layout orders them by topology instead (pins and hidden lanes still apply)
+    // and lets lanes share a row. Author lanes come from the commits, minus hidden authors.
+    function getLanes() {
+        if (isAuthorLayout()) {
+            const hiddenAuthors = window.LaniusApp?.state.hiddenAuthors || new Set();
+            return getAuthorModel().lanes
+                .filter(lane => !hiddenAuthors.has(lane.key))
+                .map((lane, i) => ({ ...lane, row: i }));
+        }
+
+        const preferences = window.LaniusApp?.state.lanePreferences;
+
+        // Arranging walks every commit and runs on each zoom tick, so it is kept until
+        // the commits, branches or preferences change (render, trackCommit, relayout)
+        if (isAutoLayout()) {
+            if (!autoLanes) {
+                const spans = getLaneSpans();
+                const automatic = LaneLayout.arrange(getBranchLanes(), {
+                    commits: commitData,
+                    relationships: window.LaniusApp?.state.relationships || [],
+                    spans
+                });
+                const arranged = LanePreferences.arrange(automatic, preferences && { ...preferences, order: [] });
+                autoLanes = LaneLayout.assignRows(arranged, spans);
+            }
+            return autoLanes.slice();
+        }
+
+        return LanePreferences.arrange(getBranchLanes(), preferences).map((lane, i) => ({ ...lane, row: i }));
+    }
+
+    function getBranchLanes() {
+        return branchData.map((branch, i) => ({
+            key: branch.name,
+            label: branch.name.replace(/^origin\//, ''),
+            color: getBranchColor(branch.name, i),
+            branch
+        }));
+    }
+
+    // Lane colour per branch name (colours stay with the branch when lanes are reordered)
+    function getBranchColors() {
+        return new Map(branchData.map((branch, i) => [branch.name, getBranchColor(branch.name, i)]));
+    }
+
+    // Keys of the drawn lanes, top to bottom (row order)
+    function getLaneOrder() {
+        return getLanes()
+            .sort((a, b) => a.row - b.row)
+            .map(lane => lane.key);
+    }
+
+    function getLaneYMap() {
+        const laneYMap = new Map();
+        getLanes().forEach(lane => {
+            laneYMap.set(lane.key, lane.row * config.branchSpacing);
+        });
+        return laneYMap;
+    }
+
+    // Commits of hidden authors, or only on hidden branch lanes, are left out
+    function isCommitShown(commit) {
+        if (!isAuthorLayout()) {
+            const hiddenBranches = window.LaniusApp?.state.lanePreferences.hidden || [];
+            if (hiddenBranches.length === 0) return true;
+
+            // Full history commits also list branches that aren't displayed
+            return (commit.branches || []).some(name =>
+                !hiddenBranches.includes(name) && branchData.some(branch => branch.name === name));
+        }
+        const hiddenAuthors = window.LaniusApp?.state.hiddenAuthors || new Set();
+        return !hiddenAuthors.has(getAuthorModel().laneOf(commit));
     }
 
-    function renderBranchLines() {
+    // Lanes in drawnLanes (keys) were already on screen and are redrawn without fading in
+    function renderBranchLines(drawnLanes = new Set()) {
         // Clear existing branch lines
         g.selectAll('.branch-group').remove();
 
-        const branchYMap = updateScales();
+        const lanes = getLanes();
+        const laneSpans = getLaneSpans();
         
-        console.log('Rendering', branchData.length, 'branches');
+        console.log('Rendering', lanes.length, isAuthorLayout() ? 'author lanes' : 'branches');
         
-        branchData.forEach((branch, i) => {
-            const y = i * config.branchSpacing;
+        lanes.forEach(lane => {
+            const y = lane.row * config.branchSpacing;
             
             const branchGroup = g.append('g')
-                .attr('class', 'branch-group');
+                .attr('class', isAuthorLayout() ? 'branch-group author-lane' : 'branch-group')
+                .classed('compare-base', lane.key === comparison?.base)
+                .classed('compare-target', lane.key === comparison?.compare)
+                .classed('keyboard-lane', lane.key === keyboardPosition?.lane);
 
-            // Get commits for this branch to determine line start and end
-            const branchCommits = commitData.filter(c => 
-                c.branches && c.branches.includes(branch.name)
-            );
+            // Line runs from the earliest to the latest commit in this lane
+            const span = laneSpans.get(lane.key);
             
-            console.log(`Branch ${branch.name}: ${branchCommits.length} commits`);
-            
-            if (branchCommits.length === 0) {
-                console.warn('No commits found for branch:', branch.name);
-                return; // Skip branches with no commits
+            if (!span) {
+                console.warn('No commits found for lane:', lane.key);
+                return; // Skip lanes with no commits
             }
-            
-            // Find the earliest (leftmost) commit on this branch
-            const earliestCommit = branchCommits.reduce((earliest, current) => 
-                new Date(current.timestamp) < new Date(earliest.timestamp) ? current : earliest
-            );
-            const lineStartX = xScale(new Date(earliestCommit.timestamp)) - 20; // Start 20px before first commit
-            
-            // Find the latest (rightmost) commit on this branch
-            const latestCommit = branchCommits.reduce((latest, current) => 
-                new Date(current.timestamp) > new Date(latest.timestamp) ? current : latest
-            );
-            const lineEndX = xScale(new Date(latestCommit.timestamp)) + 50; // End 50px after last commit
+
+            // Keep the time span on the group so zooming can reposition the line
+            branchGroup.datum({
+                branch: lane.branch,
+                lane,
+                start: span.start,
+                end: span.end
+            });
+
+            const lineStartX = getBranchLineStartX(branchGroup.datum());
+            const lineEndX = getBranchLineEndX(branchGroup.datum());
+            const animate = !drawnLanes.has(lane.key);
 
             console.log(`  Line: ${lineStartX.toFixed(0)} ? ${lineEndX.toFixed(0)}, Y: ${y}`);
 
-            // Branch line - start at first commit, end at last commit
+            // Branch line - start at first commit, end at last commit, in the lane colour
             branchGroup.append('line')
                 .attr('class', 'branch-line')
                 .attr('x1', lineStartX)
                 .attr('y1', y)
                 .attr('x2', lineEndX)
                 .attr('y2', y)
-                .attr('stroke', config.colors.branchLine)
+                .attr('stroke', lane.color)
                 .attr('stroke-width', config.lineWidth)
-                .attr('opacity', 0)
-                .transition()
-                .duration(500)
-                .attr('opacity', 0.3);
+                .call(fadeIn, 0.5, animate);
 
             // Branch indicator box - small colored box at start of line
-            const fullName = branch.name.replace(/^origin\//, '');
+            const fullName = lane.label;
             const boxSize = 8;
-            const boxX = lineStartX - 15; // Position box slightly before line start
+            const boxX = getIndicatorX(lineStartX);
             
             const indicatorBox = branchGroup.append('rect')
                 .attr('class', 'branch-indicator')
@@ -253,14 +438,28 @@ const Visualization = (() => {
                 .attr('y', y - boxSize / 2)
                 .attr('width', boxSize)
                 .attr('height', boxSize)
-                .attr('fill', getBranchColor(branch.name, i))
+                .attr('fill', lane.color)
                 .attr('stroke', config.colors.commitDefault)
                 .attr('stroke-width', 1)
                 .attr('rx', 1) // Slight rounding
+                .attr('role', 'img')
+                .attr('aria-label', describeLane(lane))
                 .style('cursor', 'help');
 
-            // Add hover tooltip showing full branch name (BEFORE transition)
-            indicatorBox.append('title').text(fullName);
+            // Add hover tooltip showing full branch name and colour rule (BEFORE transition)
+            const rule = lane.branch && BranchColors.match(lane.key, getBranchRules());
+            indicatorBox.append('title').text(lane.branch
+                ? `${fullName}${rule ? ` (${rule.label})` : ''}\nShift-click to compare`
+                : fullName);
+
+            // Shift-click picks branches for the two-branch comparison
+            if (lane.branch) {
+                indicatorBox.on('click', (event) => {
+                    if (!event.shiftKey) return;
+                    event.stopPropagation();
+                    window.LaniusApp?.toggleComparisonBranch(lane.key);
+                });
+            }
             
             // Add hover highlight effect (BEFORE transition)
             indicatorBox.on('mouseenter', function() {
@@ -278,96 +477,231 @@ const Visualization = (() => {
             });
             
             // Apply fade-in transition AFTER appending title and events
-            indicatorBox
-                .attr('opacity', 0)
-                .transition()
-                .duration(500)
-                .attr('opacity', 0.8);
+            indicatorBox.call(fadeIn, 0.8, animate);
         });
         
         console.log('Branch rendering complete');
     }
 
-    function getBranchColor(branchName, index) {
-        // Color based on branch type
-        if (branchName === 'main' || branchName === 'master' || branchName === 'origin/main') {
-            return '#2d2d2d'; // Dark for main
-        } else if (branchName.includes('release')) {
-            return '#4a90e2'; // Blue for releases
-        } else if (branchName.includes('feature')) {
-            return '#7ed321'; // Green for features
-        } else if (branchName.includes('hotfix') || branchName.includes('fix')) {
-            return '#e74c3c'; // Red for fixes
-        } else if (branchName.includes('dependabot')) {
-            return '#9b59b6'; // Purple for dependabot
-        } else {
-            // Use a color from palette based on index
-            const colors = ['#34495e', '#16a085', '#f39c12', '#e67e22', '#95a5a6'];
-            return colors[index % colors.length];
+    function fadeIn(selection, opacity, animate = true) {
+        if (!animate) {
+            selection.attr('opacity', opacity);
+            return;
         }
+        selection
+            .attr('opacity', 0)
+            .transition()
+            .duration(500)
+            .attr('opacity', opacity);
+    }
+
+    // Earliest and latest commit date per lane, in one pass over the commits
+    function getLaneSpans() {
+        const spans = new Map();
+        const authorLayout = isAuthorLayout();
+
+        commitData.forEach(commit => {
+            const date = new Date(commit.timestamp);
+            const laneKeys = authorLayout ? [getAuthorModel().laneOf(commit)] : (commit.branches || []);
+            laneKeys.forEach(name => {
+                const span = spans.get(name);
+                if (!span) {
+                    spans.set(name, { start: date, end: date });
+                } else {
+                    if (date < span.start) span.start = date;
+                    if (date > span.end) span.end = date;
+                }
+            });
+        });
+        return spans;
+    }
+
+    function getBranchColor(branchName, index) {
+        return BranchColors.colorOf(branchName, index, getBranchRules(), Theme.get());
+    }
+
+    // The repository's colour rules, or the theme's defaults
+    function getBranchRules() {
+        return window.LaniusApp?.state.branchColorRules || BranchColors.defaults(Theme.get());
     }
 
     function renderCommits() {
+        useCanvas = commitData.length > config.canvasThreshold;
+        renderCommitLayer();
+    }
+
+    // Draw commits and their connections with the active renderer
+    function renderCommitLayer() {
+        const hadFocus = hasKeyboardFocus();
+
         // Clear existing commits
         g.selectAll('.commit-node').remove();
         g.selectAll('.commit-link').remove();
         g.selectAll('.branch-connection').remove();
         g.selectAll('.cross-branch-connection').remove();
+        g.selectAll('.commit-edge').remove();
 
-        const branchYMap = new Map();
-        branchData.forEach((branch, i) => {
-            branchYMap.set(branch.name, i * config.branchSpacing);
-        });
+        if (useCanvas) {
+            console.log('Using canvas renderer for', commitData.length, 'commits');
+            CanvasRenderer.render(commitData.filter(isCommitShown));
+            renderAncestorMarker();
+            restoreKeyboardFocus(hadFocus);
+            return;
+        }
 
-        // Build a map of commits by SHA for quick lookup
-        const commitMap = new Map();
-        commitData.forEach(commit => {
-            commitMap.set(commit.sha, commit);
-        });
+        CanvasRenderer.clear();
 
-        // Draw cross-branch connections (from merge base on main to first commit on branch)
-        const relationships = window.LaniusApp.state.relationships || [];
-        console.log('Drawing cross-branch connections for', relationships.length, 'relationships');
-        
-        relationships.forEach(rel => {
-            const mergeBaseCommit = commitMap.get(rel.commitSha);
-            if (!mergeBaseCommit) return;
-            
-            // Find the first commit on branch2 (the child branch)
-            const branch2Commits = commitData.filter(c => 
-                c.branches && c.branches.includes(rel.branch2)
-            ).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-            
-            if (branch2Commits.length > 0) {
-                const firstCommitOnBranch = branch2Commits[0];
-                
-                console.log(`Cross-branch: ${rel.branch1} ? ${rel.branch2}`, 
-                    'from', mergeBaseCommit.sha.substring(0, 7), 
-                    'to', firstCommitOnBranch.sha.substring(0, 7));
-                
-                // Draw diagonal line from merge base to first commit on branch
-                g.append('line')
-                    .attr('class', 'cross-branch-connection')
-                    .attr('x1', xScale(new Date(mergeBaseCommit.timestamp)))
-                    .attr('y1', getCommitY(mergeBaseCommit, branchYMap))
-                    .attr('x2', xScale(new Date(firstCommitOnBranch.timestamp)))
-                    .attr('y2', getCommitY(firstCommitOnBranch, branchYMap))
-                    .attr('stroke', config.colors.link)
-                    .attr('stroke-width', config.lineWidth)
-                    .attr('stroke-dasharray', '3,3') // Dashed line for branch connections
-                    .attr('opacity', 0)
-                    .transition()
-                    .duration(500)
-                    .attr('opacity', 0.4);
-            }
+        const laneYMap = getLaneYMap();
+        const commits = commitData.filter(isCommitShown);
+
+        renderConnections(laneYMap, commits);
+        renderCommitNodes(laneYMap, commits);
+        renderAncestorMarker();
+        restoreKeyboardFocus(hadFocus);
+    }
+
+    // Connections are joined by key: on a redraw only new ones fade in and the rest follow their lanes
+    function renderConnections(laneYMap, commits) {
+        const connections = getConnections(commits);
+
+        if (isFullHistory()) {
+            renderParentEdges(connections, laneYMap);
+        } else {
+            renderGuessedConnections(connections, laneYMap);
+        }
+    }
+
+    function getConnectionKey(connection) {
+        return `${connection.type}:${connection.source.sha}:${connection.target.sha}:${connection.targetLane || ''}`;
+    }
+
+    // Track a commit added after rendering so zooming repositions it.
+    // Returns true if the whole layer was redrawn instead: the graph outgrew the SVG renderer,
+    // or a new author needs a lane in the author layout.
+    function trackCommit(commit) {
+        if (!commitData.includes(commit)) {
+            commitData.push(commit);
+        }
+
+        // The commit may extend a lane or bring a new branch
+        autoLanes = null;
+
+        if (ownerRanks && (commit.branches || []).some(name => !ownerRanks.has(name))) {
+            ownerRanks = null;
+        }
+
+        if (isAuthorLayout() && getAuthorModel().laneOf(commit) === null) {
+            authorModel = null;
+            useCanvas = commitData.length > config.canvasThreshold;
+            renderBranchLines();
+            renderCommitLayer();
+            return true;
+        }
+
+        if (!useCanvas && commitData.length > config.canvasThreshold) {
+            useCanvas = true;
+            renderCommitLayer();
+            return true;
+        }
+        return false;
+    }
+
+    // Redraw lanes and commits for the current layout mode, author groups or hidden authors.
+    // Keeps the time domain and zoom, so it is safe during replay.
+    function relayout() {
+        authorModel = null;
+        ownerRanks = null;
+        autoLanes = null;
+        if (commitData.length === 0) return;
+
+        renderBranchLines();
+        renderCommitLayer();
+        updatePositions();
+        renderMinimap();
+    }
+
+    // Pick up the active theme's colours (lanes, commits, connections, grid) and redraw
+    function applyTheme() {
+        Object.assign(config.colors, Theme.get().colors);
+        relayout();
+    }
+
+    function renderCommitNodes(laneYMap, commits) {
+        const commitNodes = g.selectAll('.commit-node')
+            .data(commits)
+            .enter()
+            .append('g')
+            .attr('class', d => d.isMerge ? 'commit-node merge-commit' : 'commit-node')
+            .attr('transform', d => `translate(${getCommitX(d)}, ${getCommitY(d, laneYMap)})`)
+            .on('click', (event, d) => window.LaniusApp.showCommitDetail(d))
+            .on('mouseenter', handleCommitHover)
+            .on('mouseleave', handleCommitUnhover);
+
+        commitNodes.append('circle')
+            .attr('r', 0)
+            .attr('fill', d => getCommitColor(d))
+            .attr('stroke', config.colors.commitDefault)
+            .attr('stroke-width', config.lineWidth)
+            .transition()
+            .duration(500)
+            .attr('r', d => getCommitSize(d));
+
+        appendGhostMarkers(commitNodes, laneYMap);
+        applySearchHighlight(commitNodes);
+        applyComparisonMarks(commitNodes);
+        describeCommitNodes(commitNodes);
+    }
+
+    // Hollow markers on the other lanes of a shared commit, inside the commit's node
+    // so they move, dim and react to hover and clicks together with it
+    function appendGhostMarkers(nodes, laneYMap) {
+        nodes.each(function(commit) {
+            const offsets = getGhostOffsets(commit, laneYMap);
+            if (offsets.length === 0) return;
+
+            d3.select(this).selectAll('.commit-ghost')
+                .data(offsets)
+                .enter()
+                .append('circle')
+                .attr('class', 'commit-ghost')
+                .attr('cy', d => d)
+                .attr('r', config.commitRadius)
+                .attr('fill', 'none')
+                .attr('stroke', config.colors.commitDefault)
+                .attr('stroke-width', config.lineWidth)
+                .attr('stroke-dasharray', '2,2');
         });
+    }
+
+    function isFullHistory() {
+        return !!window.LaniusApp?.state.fullHistory;
+    }
+
+    // Connections between commits, shared by the SVG and canvas renderers:
+    // { source, target, type } with type 'cross' / 'branch' (overview) or 'parent' / 'merge' (full history)
+    function getConnections(commits) {
+        const commitMap = new Map(commits.map(c => [c.sha, c]));
+        if (isFullHistory()) return getParentEdges(commits, commitMap);
+
+        // Inferred links follow branches, which don't map onto author lanes
+        return isAuthorLayout() ? [] : getGuessedConnections(commits, commitMap);
+    }
+
+    // Connections for a commit added after rendering - only real parent edges are known incrementally
+    function getNewCommitConnections(commit, commits) {
+        if (!isFullHistory()) return [];
+        return getParentEdges([commit], new Map(commits.filter(isCommitShown).map(c => [c.sha, c])));
+    }
+
+    // Overview mode has no parent information, so links are inferred:
+    // merge base -> first commit of the child branch, then timestamp order within each branch
+    function getGuessedConnections(commits, commitMap) {
+        const connections = [];
+        const byTimestamp = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
 
-        // Draw branch connection lines (between commits on same branch)
-        const branchLines = [];
-        
         // Group commits by branch
         const commitsByBranch = new Map();
-        commitData.forEach(commit => {
+        commits.forEach(commit => {
             if (commit.branches && commit.branches.length > 0) {
                 commit.branches.forEach(branchName => {
                     if (!commitsByBranch.has(branchName)) {
@@ -377,85 +711,178 @@ const Visualization = (() => {
                 });
             }
         });
+        commitsByBranch.forEach(branchCommits => branchCommits.sort(byTimestamp));
 
-        // For each branch, draw lines between its commits in chronological order
-        commitsByBranch.forEach((commits, branchName) => {
-            // Sort by timestamp (oldest first)
-            const sortedCommits = commits.slice().sort((a, b) => 
-                new Date(a.timestamp) - new Date(b.timestamp)
-            );
-            
-            // Draw lines between consecutive commits
-            for (let i = 0; i < sortedCommits.length - 1; i++) {
-                const source = sortedCommits[i];
-                const target = sortedCommits[i + 1];
-                
-                branchLines.push({
-                    source,
-                    target,
-                    branch: branchName
+        // Cross-branch connections (from merge base on main to first commit on branch)
+        const relationships = window.LaniusApp?.state.relationships || [];
+        console.log('Inferring cross-branch connections for', relationships.length, 'relationships');
+        
+        relationships.forEach(rel => {
+            const mergeBaseCommit = commitMap.get(rel.commitSha);
+            const branch2Commits = commitsByBranch.get(rel.branch2);
+            if (!mergeBaseCommit || !branch2Commits) return;
+
+            // First commit on branch2 (the child branch)
+            connections.push({ source: mergeBaseCommit, target: branch2Commits[0], targetLane: rel.branch2, type: 'cross' });
+        });
+
+        // Lines between consecutive commits on the same branch, in chronological order.
+        // They stay on the branch's lane, through the ghost markers of shared commits.
+        commitsByBranch.forEach((branchCommits, branchName) => {
+            for (let i = 0; i < branchCommits.length - 1; i++) {
+                connections.push({
+                    source: branchCommits[i],
+                    target: branchCommits[i + 1],
+                    sourceLane: branchName,
+                    targetLane: branchName,
+                    type: 'branch'
                 });
             }
         });
 
+        return connections;
+    }
+
+    // Full history mode: the real parent -> child edges.
+    // Second (and later) parents are merge edges.
+    function getParentEdges(commits, commitMap) {
+        const edges = [];
+
+        commits.forEach(commit => {
+            (commit.parentShas || []).forEach((parentSha, parentIndex) => {
+                const parent = commitMap.get(parentSha);
+                if (!parent) return; // Parent outside the loaded history
+
+                edges.push({
+                    source: parent,
+                    target: commit,
+                    type: parentIndex > 0 ? 'merge' : 'parent'
+                });
+            });
+        });
+
+        return edges;
+    }
+
+    function renderGuessedConnections(connections, laneYMap) {
+        // Draw cross-branch connections (dashed, from merge base to first commit on branch)
+        joinConnectionLines('cross-branch-connection', connections.filter(d => d.type === 'cross'), laneYMap)
+            .attr('stroke-dasharray', '3,3') // Dashed line for branch connections
+            .transition()
+            .duration(500)
+            .attr('opacity', 0.4);
+
         // Draw branch connection lines (solid lines within same branch)
-        g.selectAll('.branch-connection')
-            .data(branchLines)
-            .enter()
-            .append('line')
-            .attr('class', 'branch-connection')
-            .attr('x1', d => xScale(new Date(d.source.timestamp)))
-            .attr('y1', d => getCommitY(d.source, branchYMap))
-            .attr('x2', d => xScale(new Date(d.target.timestamp)))
-            .attr('y2', d => getCommitY(d.target, branchYMap))
-            .attr('stroke', config.colors.link)
-            .attr('stroke-width', config.lineWidth)
-            .attr('opacity', 0)
+        joinConnectionLines('branch-connection', connections.filter(d => d.type === 'branch'), laneYMap)
             .transition()
             .duration(500)
             .attr('opacity', 0.6);
+    }
 
-        // Draw commits
-        const commitNodes = g.selectAll('.commit-node')
-            .data(commitData)
-            .enter()
-            .append('g')
-            .attr('class', 'commit-node')
-            .attr('transform', d => `translate(${xScale(new Date(d.timestamp))}, ${getCommitY(d, branchYMap)})`)
-            .on('click', (event, d) => window.LaniusApp.showCommitDetail(d))
-            .on('mouseenter', handleCommitHover)
-            .on('mouseleave', handleCommitUnhover);
+    // Lines already drawn are moved into place; returns the new lines (transparent, below the commits)
+    function joinConnectionLines(className, connections, laneYMap) {
+        const lines = g.selectAll(`.${className}`)
+            .data(connections, getConnectionKey);
 
-        commitNodes.append('circle')
-            .attr('r', 0)
-            .attr('fill', d => getCommitColor(d))
-            .attr('stroke', config.colors.commitDefault)
+        lines.exit().remove();
+        positionConnectionLines(lines, laneYMap);
+
+        return lines.enter()
+            .insert('line', '.commit-node')
+            .attr('class', className)
+            .call(positionConnectionLines, laneYMap)
+            .attr('stroke', config.colors.link)
+            .attr('stroke-width', config.lineWidth)
+            .attr('opacity', 0);
+    }
+
+    function positionConnectionLines(lines, laneYMap) {
+        lines
+            .attr('x1', d => getCommitX(d.source))
+            .attr('y1', d => getCommitY(d.source, laneYMap, d.sourceLane))
+            .attr('x2', d => getCommitX(d.target))
+            .attr('y2', d => getCommitY(d.target, laneYMap, d.targetLane));
+    }
+
+    // Edges between lanes are curved; merge edges are dashed
+    function renderParentEdges(edges, laneYMap) {
+        console.log('Drawing', edges.length, 'parent edges');
+
+        const paths = g.selectAll('.commit-edge')
+            .data(edges, getConnectionKey);
+
+        paths.exit().remove();
+        paths.attr('d', d => getEdgePath(d, laneYMap));
+
+        paths.enter()
+            .insert('path', '.commit-node')
+            .attr('class', d => d.type === 'merge' ? 'commit-edge merge-edge' : 'commit-edge')
+            .attr('d', d => getEdgePath(d, laneYMap))
+            .attr('fill', 'none')
+            .attr('stroke', config.colors.link)
             .attr('stroke-width', config.lineWidth)
+            .attr('stroke-dasharray', d => d.type === 'merge' ? '4,2' : null)
+            .attr('opacity', 0)
             .transition()
             .duration(500)
-            .attr('r', d => getCommitSize(d));
+            .attr('opacity', d => d.type === 'merge' ? 0.8 : 0.6);
+    }
 
-        // Update stats
-        updateStatsFromCommits();
+    function getEdgePath(edge, laneYMap) {
+        const source = [getCommitX(edge.source), getCommitY(edge.source, laneYMap)];
+        const target = [getCommitX(edge.target), getCommitY(edge.target, laneYMap)];
+
+        if (source[1] === target[1]) {
+            return `M${source[0]},${source[1]}L${target[0]},${target[1]}`;
+        }
+
+        // Leave the parent lane and enter the child lane horizontally
+        return d3.linkHorizontal()({ source, target });
     }
 
     function animateNewCommit(commit) {
-        const branchYMap = new Map();
-        branchData.forEach((branch, i) => {
-            branchYMap.set(branch.name, i * config.branchSpacing);
+        if (trackCommit(commit) || !isCommitShown(commit)) return;
+
+        if (useCanvas) {
+            CanvasRenderer.animateNewCommit(commit);
+            return;
+        }
+
+        const laneYMap = getLaneYMap();
+
+        // Connect to parents that are already drawn
+        getNewCommitConnections(commit, commitData).forEach(edge => {
+            g.insert('path', '.commit-node')
+                .datum(edge)
+                .attr('class', edge.type === 'merge' ? 'commit-edge merge-edge' : 'commit-edge')
+                .attr('d', d => getEdgePath(d, laneYMap))
+                .attr('fill', 'none')
+                .attr('stroke', config.colors.link)
+                .attr('stroke-width', config.lineWidth)
+                .attr('stroke-dasharray', edge.type === 'merge' ? '4,2' : null)
+                .attr('opacity', 0)
+                .transition()
+                .duration(750)
+                .attr('opacity', 0.6);
         });
 
-        const y = getCommitY(commit, branchYMap);
-        const x = xScale(new Date(commit.timestamp));
+        appendNewCommitNode(commit, laneYMap);
+    }
 
-        // Add commit node with animation
+    // Add a commit node that grows in and pulses
+    function appendNewCommitNode(commit, laneYMap) {
         const node = g.append('g')
-            .attr('class', 'commit-node fade-in')
-            .attr('transform', `translate(${x}, ${y})`)
+            .datum(commit)
+            .attr('class', commit.isMerge ? 'commit-node merge-commit fade-in' : 'commit-node fade-in')
+            .attr('transform', `translate(${getCommitX(commit)}, ${getCommitY(commit, laneYMap)})`)
             .on('click', (event, d) => window.LaniusApp.showCommitDetail(commit))
             .on('mouseenter', handleCommitHover)
             .on('mouseleave', handleCommitUnhover);
 
+        applySearchHighlight(node);
+        applyComparisonMarks(node);
+        describeCommitNodes(node);
+
         node.append('circle')
             .attr('r', 0)
             .attr('fill', getCommitColor(commit))
@@ -468,6 +895,8 @@ const Visualization = (() => {
             .attr('r', getCommitSize(commit))
             .style('opacity', 1);
 
+        appendGhostMarkers(node, laneYMap);
+
         // Pulse animation
         node.select('circle')
             .transition()
@@ -481,34 +910,518 @@ const Visualization = (() => {
             .style('opacity', 1);
     }
 
+    // Monitored commits arriving after the render. The timeline grows to take them in,
+    // new branches (already in branchData) and authors get lanes, and connections are re-joined;
+    // whatever is already drawn stays and moves into place instead of being re-created.
+    function addLiveCommits(commits) {
+        const lanesBefore = getDrawnLaneRows();
+
+        // Track them all first, so a full layer redraw (see trackCommit) includes every one
+        commits.forEach(commit => {
+            if (!commitData.includes(commit)) commitData.push(commit);
+        });
+        const redrawn = commits.map(trackCommit).some(Boolean);
+
+        growTimeline(commits.map(commit => new Date(commit.timestamp)));
+        renderBranchLines(new Set(lanesBefore.keys()));
+        scheduleMinimap();
+
+        if (!redrawn) {
+            const shown = commits.filter(isCommitShown);
+            const laneYMap = getLaneYMap();
+
+            if (useCanvas) {
+                shown.forEach(commit => CanvasRenderer.animateNewCommit(commit));
+                CanvasRenderer.setConnections(getConnections(commitData.filter(isCommitShown)));
+            } else {
+                // Ghost markers sit at offsets to the other lanes, which move when a lane is added
+                const lanesAfter = getDrawnLaneRows();
+                const lanesMoved = [...lanesBefore].some(([key, row]) => lanesAfter.get(key) !== row);
+                if (lanesMoved) {
+                    g.selectAll('.commit-ghost').remove();
+                    appendGhostMarkers(g.selectAll('.commit-node'), laneYMap);
+                }
+
+                shown.forEach(commit => appendNewCommitNode(commit, laneYMap));
+                renderConnections(laneYMap, commitData.filter(isCommitShown));
+            }
+        }
+
+        updatePositions();
+    }
+
+    // Lane key -> row of the lanes on screen
+    function getDrawnLaneRows() {
+        return new Map(g.selectAll('.branch-group').data()
+            .filter(Boolean)
+            .map(d => [d.lane.key, d.lane.row]));
+    }
+
+    // Widen the time domain to dates outside it. A view of the whole timeline keeps showing
+    // all of it; a zoomed-in view keeps its dates.
+    function growTimeline(dates) {
+        const [start, end] = xScale.domain();
+        const [first, last] = d3.extent(dates);
+        if (!(first < start) && !(last > end)) return;
+
+        const visible = getVisibleRange();
+        xScale.domain([d3.min([start, first]), d3.max([end, last])]);
+        if (visible) setVisibleRange(visible);
+    }
+
     function animateReplayCommit(commit) {
-        animateNewCommit(commit);
-        
-        // Update stats incrementally
-        if (commit.stats) {
-            const currentAdditions = parseInt(document.getElementById('stat-additions').textContent.replace('+', ''));
-            const currentDeletions = parseInt(document.getElementById('stat-deletions').textContent.replace('-', ''));
-            
-            document.getElementById('stat-additions').textContent = `+${currentAdditions + commit.stats.linesAdded}`;
-            document.getElementById('stat-deletions').textContent = `-${currentDeletions + commit.stats.linesRemoved}`;
+        if (useCanvas) {
+            if (!trackCommit(commit) && isCommitShown(commit)) CanvasRenderer.animateReplayCommit(commit);
+        } else {
+            animateNewCommit(commit);
         }
-        
-        const currentCommits = parseInt(document.getElementById('stat-commits').textContent);
-        document.getElementById('stat-commits').textContent = currentCommits + 1;
+        scheduleMinimap();
+    }
+
+    // Redraw replayed commits without per-commit animation (used after seeking)
+    function renderReplayState(commits) {
+        const hadFocus = hasKeyboardFocus();
+        commitData = commits.slice();
+        authorModel = null;
+        autoLanes = null;
+        useCanvas = commitData.length > config.canvasThreshold;
+
+        // Author lanes follow the replayed commits
+        if (isAuthorLayout()) {
+            renderBranchLines();
+        }
+
+        const shownCommits = commitData.filter(isCommitShown);
+
+        if (useCanvas) {
+            g.selectAll('.commit-node, .commit-edge').remove();
+            CanvasRenderer.render(shownCommits);
+        } else {
+            CanvasRenderer.clear();
+            g.selectAll('.commit-node, .commit-edge').remove();
+
+            const laneYMap = getLaneYMap();
+            if (isFullHistory()) {
+                renderParentEdges(getConnections(shownCommits), laneYMap);
+            }
+            renderCommitNodes(laneYMap, shownCommits);
+        }
+
+        renderAncestorMarker();
+        restoreKeyboardFocus(hadFocus);
+        renderMinimap();
     }
 
     function clearAll() {
-        g.selectAll('*').remove();
+        g.selectAll(':scope > :not(.zoom-surface):not(.replay-brush)').remove();
+        CanvasRenderer.clear();
+        useCanvas = false;
+        authorModel = null;
+        autoLanes = null;
         commitData = [];
+        keyboardPosition = null;
+        updateRovingTabIndex();
+        resetZoom(false);
+        renderMinimap();
+    }
+
+    // Overview of the whole timeline under the graph (see minimap.js)
+    function renderMinimap() {
+        clearTimeout(minimapTimer);
+        minimapTimer = null;
+
+        const laneSpans = getLaneSpans();
+        const laneYMap = getLaneYMap();
+        Minimap.render({
+            domain: xScale.domain(),
+            lanes: getLanes()
+                .filter(lane => laneSpans.has(lane.key))
+                .map(lane => ({ ...lane, ...laneSpans.get(lane.key) })),
+            commits: commitData.filter(isCommitShown),
+            lanesOf: commit => getCommitLanes(commit, laneYMap)
+        });
+        Minimap.setViewport(getVisibleRange());
+    }
+
+    // Replayed and live commits arrive one by one; redraw the minimap at most every minimapInterval
+    function scheduleMinimap() {
+        if (minimapTimer) return;
+        minimapTimer = setTimeout(renderMinimap, config.minimapInterval);
+    }
+
+    function getZoomedXScale() {
+        return zoomTransform.rescaleX(xScale);
+    }
+
+    function getCommitX(commit) {
+        return getZoomedXScale()(new Date(commit.timestamp));
+    }
+
+    function getBranchLineStartX(d) {
+        return getZoomedXScale()(d.start) - 20; // Start 20px before first commit
+    }
+
+    function getBranchLineEndX(d) {
+        return getZoomedXScale()(d.end) + 50; // End 50px after last commit
+    }
+
+    function getIndicatorX(lineStartX) {
+        return lineStartX - 15; // Position box slightly before line start
+    }
+
+    function handleZoom(event) {
+        zoomTransform = event.transform;
+        updatePositions();
+    }
+
+    // Reposition existing elements for the current zoom transform.
+    // Only positions change - radii and stroke widths keep their pixel sizes.
+    function updatePositions() {
+        updateReplayWindowPosition();
+        Minimap.setViewport(getVisibleRange());
+
+        if (commitData.length === 0) return;
+
+        const laneYMap = getLaneYMap();
+
+        renderTimelineGrid();
+
+        g.selectAll('.branch-group').each(function(d) {
+            if (!d) return;
+            const group = d3.select(this);
+            const lineStartX = getBranchLineStartX(d);
+            group.select('.branch-line')
+                .attr('x1', lineStartX)
+                .attr('x2', getBranchLineEndX(d));
+            group.select('.branch-indicator')
+                .attr('x', getIndicatorX(lineStartX));
+        });
+
+        g.selectAll('.cross-branch-connection, .branch-connection')
+            .attr('x1', d => getCommitX(d.source))
+            .attr('x2', d => getCommitX(d.target));
+
+        g.selectAll('.commit-edge')
+            .attr('d', d => getEdgePath(d, laneYMap));
+
+        g.selectAll('.commit-node')
+            .attr('transform', d => `translate(${getCommitX(d)}, ${getCommitY(d, laneYMap)})`);
+
+        g.selectAll('.compare-ancestor-marker')
+            .attr('transform', d => `translate(${getCommitX(d)}, 0)`);
+
+        if (useCanvas) CanvasRenderer.redraw();
+    }
+
+    function updateZoomExtent(width, height) {
+        const plotWidth = width - config.margin.left - config.margin.right;
+        const plotHeight = height - config.margin.top - config.margin.bottom;
+
+        zoomSurface
+            .attr('x', 0)
+            .attr('y', -config.margin.top)
+            .attr('width', Math.max(plotWidth, 0))
+            .attr('height', Math.max(height, 0));
+
+        zoom.extent([[0, 0], [plotWidth, plotHeight]])
+            .translateExtent([[0, 0], [plotWidth, plotHeight]]);
+
+        brush.extent([[0, config.brushTop], [Math.max(plotWidth, 1), config.brushBottom]]);
+        brushGroup.call(brush);
+        updateReplayWindowPosition();
+    }
+
+    function handleBrushEnd(event) {
+        // Programmatic moves (zoom/pan, setReplayWindow) have no source event
+        if (!event.sourceEvent) return;
+
+        if (event.selection) {
+            const x = getZoomedXScale();
+            replayWindow = event.selection.map(px => x.invert(px));
+        } else {
+            replayWindow = null;
+        }
+
+        updateReplayWindowPosition();
+        window.LaniusApp?.setReplayWindow(replayWindow);
+    }
+
+    // Keep the brush and shade on the selected dates as the timeline zooms
+    function updateReplayWindowPosition() {
+        const shade = brushGroup.select('.replay-window-shade');
+
+        if (!replayWindow) {
+            shade.style('display', 'none');
+            brushGroup.call(brush.move, null);
+            return;
+        }
+
+        const [plotStart, plotEnd] = xScale.range();
+        const x = getZoomedXScale();
+        const x0 = Math.max(plotStart, Math.min(plotEnd, x(replayWindow[0])));
+        const x1 = Math.max(plotStart, Math.min(plotEnd, x(replayWindow[1])));
+
+        // Window may be panned entirely out of view
+        if (x1 - x0 < 1) {
+            shade.style('display', 'none');
+            brushGroup.call(brush.move, null);
+            return;
+        }
+
+        shade
+            .style('display', null)
+            .attr('x', x0)
+            .attr('y', config.brushBottom)
+            .attr('width', x1 - x0)
+            .attr('height', Math.max(yScale.range()[1] - config.brushBottom, 0));
+
+        brushGroup.call(brush.move, [x0, x1]);
+    }
+
+    // Run fn with the whole timeline in view, then restore the current zoom.
+    // Runs synchronously, so the intermediate state is never painted.
+    function withFullTimeline(fn) {
+        const previous = zoomTransform;
+        g.interrupt();
+        g.call(zoom.transform, d3.zoomIdentity);
+        try {
+            return fn();
+        } finally {
+            g.call(zoom.transform, previous);
+        }
+    }
+
+    // Lanes currently drawn (branches or authors), with their indicator colours
+    function getLegend() {
+        const laneSpans = getLaneSpans();
+        return getLanes()
+            .filter(lane => laneSpans.has(lane.key))
+            .map(lane => ({ name: lane.label, color: lane.color }));
+    }
+
+    // Commit count above which the canvas renderer takes over; the graph on screen switches
+    // renderer right away if the new threshold puts it on the other side
+    function setCanvasThreshold(count) {
+        config.canvasThreshold = count;
+        if (commitData.length === 0 || (commitData.length > count) === useCanvas) return;
+
+        renderCommits();
+        updatePositions();
+    }
+
+    function getCanvasThreshold() {
+        return config.canvasThreshold;
     }
 
-    function getCommitY(commit, branchYMap) {
-        // Use first branch for y-position
-        if (commit.branches && commit.branches.length > 0) {
-            const y = branchYMap.get(commit.branches[0]);
-            if (y !== undefined) return y;
+    // Set or clear the replay window from outside (null clears)
+    function setReplayWindow(range) {
+        replayWindow = range ? [new Date(range[0]), new Date(range[1])] : null;
+        updateReplayWindowPosition();
+    }
+
+    // Dates at the edges of the plot, or null when the whole timeline is shown
+    function getVisibleRange() {
+        if (commitData.length === 0 || zoomTransform.k === 1) return null;
+
+        const [start, end] = getZoomedXScale().domain();
+        return { start, end };
+    }
+
+    // Zoom so the given dates fill the plot (clamped to the zoom limits)
+    function setVisibleRange(range) {
+        if (!zoom || commitData.length === 0) return;
+
+        const [plotStart, plotEnd] = xScale.range();
+        const x1 = xScale(range.start);
+        const x2 = xScale(range.end);
+        if (!(x2 > x1)) return;
+
+        const k = Math.max(1, Math.min(config.maxZoom, (plotEnd - plotStart) / (x2 - x1)));
+        const translateX = Math.min(0, Math.max(plotEnd - plotEnd * k, -x1 * k));
+
+        g.interrupt();
+        g.call(zoom.transform, d3.zoomIdentity.translate(translateX, 0).scale(k));
+    }
+
+    function resetZoom(animate = true) {
+        if (!zoom) return;
+        if (animate) {
+            g.transition().duration(500).call(zoom.transform, d3.zoomIdentity);
+        } else {
+            g.call(zoom.transform, d3.zoomIdentity);
         }
-        return 0;
+    }
+
+    // Pan so the commit is centred (zooming in if needed), and highlight it
+    function focusCommit(sha) {
+        const commit = commitData.find(c => c.sha === sha);
+        if (!commit) return false;
+
+        centreOn(new Date(commit.timestamp));
+
+        g.selectAll('.commit-node').classed('focused', d => d.sha === sha);
+        CanvasRenderer.setFocused(sha);
+        return true;
+    }
+
+    // Pan so the date is centred, zooming in to at least focusZoom
+    function centreOn(date) {
+        const plotWidth = xScale.range()[1];
+        const k = Math.max(zoomTransform.k, config.focusZoom);
+        const baseX = xScale(date);
+
+        // Clamp to the translate extent so the timeline doesn't slide off-screen
+        const translateX = Math.min(0, Math.max(plotWidth - plotWidth * k, plotWidth / 2 - baseX * k));
+        const transform = d3.zoomIdentity
+            .translate(translateX, 0)
+            .scale(k);
+
+        g.transition().duration(750).call(zoom.transform, transform);
+    }
+
+    // Dim everything but the search matches (shas is a Set, or null to clear the search)
+    function setSearchMatches(shas) {
+        searchMatches = shas;
+        applySearchHighlight(g.selectAll('.commit-node'));
+        CanvasRenderer.redraw();
+    }
+
+    function applySearchHighlight(nodes) {
+        nodes
+            .classed('search-match', d => !!searchMatches && searchMatches.has(d.sha))
+            .classed('search-dimmed', d => isDimmed(d));
+    }
+
+    function isDimmed(commit) {
+        return !!searchMatches && !searchMatches.has(commit.sha);
+    }
+
+    // Two-branch comparison: highlight both lanes, mark the common ancestor and,
+    // with full history, the commits only one side has (null clears)
+    function setComparison(value) {
+        comparison = value;
+
+        g.selectAll('.branch-group')
+            .classed('compare-base', d => !!d && d.lane.key === comparison?.base)
+            .classed('compare-target', d => !!d && d.lane.key === comparison?.compare);
+
+        applyComparisonMarks(g.selectAll('.commit-node'));
+        renderAncestorMarker();
+        CanvasRenderer.redraw();
+    }
+
+    function applyComparisonMarks(nodes) {
+        nodes
+            .classed('compare-ancestor', d => getCommitMark(d) === 'ancestor')
+            .classed('compare-only-base', d => getCommitMark(d) === 'base')
+            .classed('compare-only-target', d => getCommitMark(d) === 'compare');
+    }
+
+    // 'ancestor', 'base' / 'compare' (reachable from that side only) or null.
+    // commit.branches lists every displayed branch containing the commit, so with full
+    // history loaded this matches the server's ahead/behind counts.
+    function getCommitMark(commit) {
+        if (!comparison?.base || !comparison.compare) return null;
+        if (commit.sha === comparison.ancestor?.sha) return 'ancestor';
+        if (!isFullHistory()) return null;
+
+        const onBase = commit.branches?.includes(comparison.base);
+        const onCompare = commit.branches?.includes(comparison.compare);
+        if (onBase && !onCompare) return 'base';
+        if (onCompare && !onBase) return 'compare';
+        return null;
+    }
+
+    // Vertical marker at the common ancestor, spanning both compared lanes
+    function renderAncestorMarker() {
+        g.selectAll('.compare-ancestor-marker').remove();
+
+        const ancestor = comparison?.ancestor;
+        if (!ancestor || commitData.length === 0) return;
+
+        const laneYMap = getLaneYMap();
+        const ys = [comparison.base, comparison.compare]
+            .filter(name => laneYMap.has(name))
+            .map(name => laneYMap.get(name));
+        if (ys.length === 0) return;
+
+        ys.push(getCommitY(ancestor, laneYMap));
+        const top = Math.min(...ys) - 14;
+        const bottom = Math.max(...ys) + 14;
+
+        const marker = g.insert('g', '.commit-node')
+            .datum(ancestor)
+            .attr('class', 'compare-ancestor-marker')
+            .attr('transform', `translate(${getCommitX(ancestor)}, 0)`);
+
+        marker.append('line')
+            .attr('y1', top)
+            .attr('y2', bottom)
+            .attr('stroke', config.colors.compare.ancestor)
+            .attr('stroke-dasharray', '2,2');
+
+        marker.append('text')
+            .attr('y', top - 4)
+            .attr('text-anchor', 'middle')
+            .text('common ancestor');
+    }
+
+    // y on the commit's owning lane, or on the given lane (branch connections through ghost markers)
+    function getCommitY(commit, laneYMap, lane) {
+        if (isAuthorLayout()) {
+            return laneYMap.get(getAuthorModel().laneOf(commit)) ?? 0;
+        }
+        if (lane && laneYMap.has(lane)) {
+            return laneYMap.get(lane);
+        }
+
+        const owner = getOwningBranch(commit, laneYMap);
+        return owner !== undefined ? laneYMap.get(owner) : 0;
+    }
+
+    // A commit on several displayed branches belongs to the main branch, or else to the
+    // oldest of them (earliest first commit). Full history commits also list branches
+    // that are filtered out or hidden; those are skipped.
+    function getOwningBranch(commit, laneYMap) {
+        const ranks = getOwnerRanks();
+        let owner;
+        (commit.branches || []).forEach(name => {
+            if (!laneYMap.has(name)) return;
+            if (owner === undefined || (ranks.get(name) ?? Infinity) < (ranks.get(owner) ?? Infinity)) {
+                owner = name;
+            }
+        });
+        return owner;
+    }
+
+    function getOwnerRanks() {
+        if (!ownerRanks) {
+            const spans = getLaneSpans();
+            const trunk = LaneLayout.findTrunk(
+                branchData.map(branch => ({ key: branch.name })),
+                window.LaniusApp?.state.relationships || []);
+            const started = name => name === trunk ? -Infinity : (spans.get(name)?.start ?? Infinity);
+
+            ownerRanks = new Map(branchData
+                .map((branch, i) => ({ name: branch.name, i }))
+                .sort((a, b) => (started(a.name) - started(b.name)) || (a.i - b.i))
+                .map(({ name }, rank) => [name, rank]));
+        }
+        return ownerRanks;
+    }
+
+    // y offsets from the owning lane to the other displayed lanes that contain the commit
+    function getGhostOffsets(commit, laneYMap) {
+        if (isAuthorLayout() || !commit.branches || commit.branches.length < 2) return [];
+
+        const y = getCommitY(commit, laneYMap);
+        const offsets = new Set();
+        commit.branches.forEach(name => {
+            if (laneYMap.has(name) && laneYMap.get(name) !== y) {
+                offsets.add(laneYMap.get(name) - y);
+            }
+        });
+        return [...offsets];
     }
 
     function getCommitSize(commit) {
@@ -525,21 +1438,162 @@ const Visualization = (() => {
         
         const indicator = commit.stats.colorIndicator || 0;
         
-        // Monochrome gradient based on indicator
-        // -1 (deletions) to +1 (additions)
+        // Gradient based on indicator, -1 (deletions) to +1 (additions):
+        // shades from the default towards the theme's additions or deletions colour
         if (indicator > 0) {
-            // More additions: darker
-            const intensity = Math.floor(indicator * 30);
-            return `rgb(${45 - intensity}, ${45 - intensity}, ${45 - intensity})`;
+            return d3.interpolateRgb(config.colors.commitDefault, config.colors.commitAdditions)(indicator);
         } else if (indicator < 0) {
-            // More deletions: lighter
-            const intensity = Math.floor(Math.abs(indicator) * 20);
-            return `rgb(${10 + intensity}, ${10 + intensity}, ${10 + intensity})`;
+            return d3.interpolateRgb(config.colors.commitDefault, config.colors.commitDeletions)(-indicator);
         }
         
         return config.colors.commitDefault;
     }
 
+    // Keyboard navigation (roving tabindex)
+    // The graph is a single tab stop: the SVG until a commit has been focused, then that commit's
+    // node. With the canvas renderer there are no nodes; the SVG keeps the focus, the commit is
+    // highlighted on the canvas and announced through the live region instead.
+    const navigationKeys = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End'];
+
+    function handleGraphKeydown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+        // Space activates a commit like Enter, as on any button; without one it stays the replay shortcut
+        const activate = event.key === 'Enter' || event.key === ' ';
+        if (!activate && !navigationKeys.includes(event.key)) return;
+        if (commitData.length === 0) return;
+
+        const model = getNavigationModel();
+        const current = getKeyboardPosition(event.target, model);
+
+        if (activate) {
+            if (!current) return;
+            event.preventDefault();
+            window.LaniusApp.showCommitDetail(current.commit);
+            return;
+        }
+
+        event.preventDefault();
+        const next = current
+            ? GraphNavigation.move(current, event.key, model)
+            : GraphNavigation.start(getZoomedXScale().invert(xScale.range()[1] / 2), model);
+        if (next) setKeyboardPosition(next);
+    }
+
+    // Drawn lanes top to bottom, and the shown commits on each (oldest first)
+    function getNavigationModel() {
+        const laneYMap = getLaneYMap();
+        const laneSpans = getLaneSpans();
+        const lanes = getLaneOrder().filter(key => laneSpans.has(key));
+        const commitsByLane = new Map(lanes.map(key => [key, []]));
+
+        commitData.filter(isCommitShown).forEach(commit => {
+            getCommitLanes(commit, laneYMap).forEach(key => commitsByLane.get(key)?.push(commit));
+        });
+        commitsByLane.forEach(commits => commits.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)));
+
+        return { lanes, commitsByLane };
+    }
+
+    function getCommitLanes(commit, laneYMap) {
+        if (isAuthorLayout()) return [getAuthorModel().laneOf(commit)];
+        return (commit.branches || []).filter(name => laneYMap.has(name));
+    }
+
+    // A focused node (it may have been clicked) wins over the remembered position.
+    // The remembered lane is kept when it still holds the commit, else the owning lane is used.
+    function getKeyboardPosition(target, model) {
+        const commit = target.classList?.contains('commit-node')
+            ? d3.select(target).datum()
+            : keyboardPosition?.commit;
+        if (!commit) return null;
+
+        const lanes = model.lanes.filter(lane => model.commitsByLane.get(lane).includes(commit));
+        if (lanes.length === 0) return null;
+
+        if (commit === keyboardPosition?.commit && lanes.includes(keyboardPosition.lane)) {
+            return keyboardPosition;
+        }
+
+        const owner = isAuthorLayout() ? getAuthorModel().laneOf(commit) : getOwningBranch(commit, getLaneYMap());
+        return { commit, lane: lanes.includes(owner) ? owner : lanes[0] };
+    }
+
+    function setKeyboardPosition(position) {
+        const laneChanged = position.lane !== keyboardPosition?.lane;
+        keyboardPosition = position;
+        keepInView(position.commit);
+
+        const node = updateRovingTabIndex();
+        const lane = getLanes().find(l => l.key === position.lane);
+
+        if (node) {
+            node.focus();
+            // The node's label names the commit; a new lane is announced on its own
+            if (laneChanged) window.LaniusApp?.announce(describeLane(lane));
+        } else {
+            svg.node().focus();
+            CanvasRenderer.setFocused(position.commit.sha);
+            window.LaniusApp?.announce(`${describeCommit(position.commit)}. ${describeLane(lane)}`);
+        }
+    }
+
+    // Pan (keeping the zoom level) when the focus moves to a commit outside the plot
+    function keepInView(commit) {
+        const plotWidth = xScale.range()[1];
+        const x = getCommitX(commit);
+        if (x >= 0 && x <= plotWidth) return;
+
+        const k = zoomTransform.k;
+        const translateX = Math.min(0, Math.max(plotWidth - plotWidth * k, plotWidth / 2 - xScale(new Date(commit.timestamp)) * k));
+
+        g.interrupt();
+        g.call(zoom.transform, d3.zoomIdentity.translate(translateX, 0).scale(k));
+    }
+
+    // One tab stop: the node at the keyboard position, else the SVG. Returns that node, if any.
+    function updateRovingTabIndex() {
+        const sha = keyboardPosition?.commit.sha;
+        const nodes = g.selectAll('.commit-node')
+            .attr('tabindex', d => d.sha === sha ? 0 : -1);
+        const node = sha && !useCanvas ? nodes.filter(d => d.sha === sha).node() : null;
+
+        svg.attr('tabindex', node ? -1 : 0);
+        g.selectAll('.branch-group')
+            .classed('keyboard-lane', d => !!d && d.lane.key === keyboardPosition?.lane);
+        return node;
+    }
+
+    function hasKeyboardFocus() {
+        return svg.node().contains(document.activeElement);
+    }
+
+    // Re-rendering replaces the nodes; focus returns to the keyboard position if it was in the graph
+    function restoreKeyboardFocus(hadFocus) {
+        const node = updateRovingTabIndex();
+        if (hadFocus) (node || svg.node()).focus();
+    }
+
+    function describeCommitNodes(nodes) {
+        nodes
+            .attr('tabindex', -1)
+            .attr('role', 'button')
+            .attr('aria-label', describeCommit);
+    }
+
+    function describeCommit(commit) {
+        const branches = commit.branches?.length
+            ? `, ${commit.branches.length > 1 ? 'branches' : 'branch'} ${commit.branches.join(', ')}`
+            : '';
+        return `${commit.isMerge ? 'Merge commit' : 'Commit'} ${commit.sha.substring(0, 7)}: ${commit.shortMessage || ''}`
+            + ` by ${commit.author}, ${new Date(commit.timestamp).toLocaleDateString()}${branches}`;
+    }
+
+    function describeLane(lane) {
+        if (!lane) return '';
+        return `${isAuthorLayout() ? 'Author' : 'Branch'} lane ${lane.label}`;
+    }
+
     function handleCommitHover(event, d) {
         const node = d3.select(event.currentTarget);
         
@@ -573,8 +1627,9 @@ const Visualization = (() => {
             .append('div')
             .attr('class', 'tooltip')
             .style('position', 'absolute')
-            .style('background', '#fafafa')
-            .style('border', '1px solid #1a1a1a')
+            .style('background', 'var(--bg-primary)')
+            .style('color', 'var(--fg-primary)')
+            .style('border', '1px solid var(--line-color)')
             .style('padding', '8px')
             .style('font-family', 'var(--font-mono)')
             .style('font-size', '11px')
@@ -582,12 +1637,16 @@ const Visualization = (() => {
             .style('z-index', '1000')
             .style('opacity', 0);
 
-        tooltip.html(`
-            <div><strong>${commit.shortMessage}</strong></div>
-            <div>${commit.author}</div>
-            <div>${new Date(commit.timestamp).toLocaleDateString()}</div>
-            ${commit.stats ? `<div>+${commit.stats.linesAdded} -${commit.stats.linesRemoved}</div>` : ''}
-        `);
+        // Messages, authors and branch names come from the repository: set as text, never parsed as HTML
+        tooltip.append('div').append('strong').text(commit.shortMessage);
+        tooltip.append('div').text(commit.author);
+        tooltip.append('div').text(new Date(commit.timestamp).toLocaleDateString());
+        if (commit.stats) {
+            tooltip.append('div').text(`+${commit.stats.linesAdded} -${commit.stats.linesRemoved}`);
+        }
+        if (commit.branches?.length) {
+            tooltip.append('div').text(`${commit.branches.length > 1 ? 'Branches' : 'Branch'}: ${commit.branches.join(', ')}`);
+        }
 
         tooltip
             .style('left', (event.pageX + 15) + 'px')
@@ -605,14 +1664,6 @@ const Visualization = (() => {
             .remove();
     }
 
-    function updateStatsFromCommits() {
-        const totalAdditions = commitData.reduce((sum, c) => sum + (c.stats?.linesAdded || 0), 0);
-        const totalDeletions = commitData.reduce((sum, c) => sum + (c.stats?.linesRemoved || 0), 0);
-        
-        document.getElementById('stat-additions').textContent = `+${totalAdditions}`;
-        document.getElementById('stat-deletions').textContent = `-${totalDeletions}`;
-    }
-
     function handleResize() {
         const container = document.getElementById('commit-graph');
         const width = container.clientWidth;
@@ -622,6 +1673,8 @@ const Visualization = (() => {
 
         xScale.range([0, width - config.margin.left - config.margin.right]);
         yScale.range([0, height - config.margin.top - config.margin.bottom]);
+        updateZoomExtent(width, height);
+        CanvasRenderer.resize();
 
         render(commitData, branchData);
     }
@@ -638,52 +1691,29 @@ const Visualization = (() => {
         };
     }
 
-    function initVisualization() {
-        const container = d3.select('#commit-graph');
-        
-        // Calculate appropriate width based on time span
-        const calculateWidth = () => {
-            if (commitData.length === 0) return dimensions.width;
-            
-            const timestamps = commitData.map(c => new Date(c.timestamp));
-            const [minDate, maxDate] = d3.extent(timestamps);
-            const daysDiff = (maxDate - minDate) / (1000 * 60 * 60 * 24);
-            
-            // Allocate ~2px per day for readable spacing
-            // Minimum of viewport width, maximum of 10x viewport width
-            const calculatedWidth = Math.max(
-                dimensions.width,
-                Math.min(daysDiff * 2, dimensions.width * 10)
-            );
-            
-            console.log(`Timeline span: ${daysDiff.toFixed(0)} days, calculated width: ${calculatedWidth.toFixed(0)}px`);
-            return calculatedWidth;
-        };
-
-        const svgWidth = calculateWidth();
-        
-        svg = container
-            .attr('width', '100%')
-            .attr('height', dimensions.height)
-            .attr('viewBox', null) // Remove viewBox to allow scrolling
-            .style('display', 'block')
-            .style('min-width', `${svgWidth}px`); // Set minimum width for scrolling
-
-        g = svg.append('g')
-            .attr('transform', `translate(${config.margin.left}, ${config.margin.top})`);
-
-        // Update xScale range to use calculated width
-        xScale.range([0, svgWidth - config.margin.left - config.margin.right]);
-        yScale.range([0, dimensions.height - config.margin.top - config.margin.bottom]);
-
-        console.log('Visualization initialized with width:', svgWidth);
-    }
-
     return {
         initialize,
         render,
         animateNewCommit,
+        addLiveCommits,
         animateReplayCommit,
+        renderReplayState,
+        resetZoom,
+        focusCommit,
+        setReplayWindow,
+        withFullTimeline,
+        getLegend,
+        relayout,
+        applyTheme,
+        setSearchMatches,
+        setComparison,
+        getBranchColors,
+        getLaneOrder,
+        getVisibleRange,
+        setVisibleRange,
+        getCanvasLayer: CanvasRenderer.getCanvas,
+        setCanvasThreshold,
+        getCanvasThreshold,
         clear: clearAll
     };
 })();
@@ -700,10 +1730,66 @@ window.clearVisualization = () => {
     Visualization.clear();
 };
 
-window.animateNewCommit = (commit) => {
-    Visualization.animateNewCommit(commit);
+window.addVisualizationCommits = (commits) => {
+    Visualization.addLiveCommits(commits);
 };
 
 window.animateReplayCommit = (commit) => {
     Visualization.animateReplayCommit(commit);
 };
+
+window.renderReplayState = (commits) => {
+    Visualization.renderReplayState(commits);
+};
+
+window.resetVisualizationZoom = () => {
+    Visualization.resetZoom();
+};
+
+window.focusVisualizationCommit = (sha) => {
+    return Visualization.focusCommit(sha);
+};
+
+window.getVisualizationVisibleRange = () => {
+    return Visualization.getVisibleRange();
+};
+
+window.setVisualizationVisibleRange = (range) => {
+    Visualization.setVisibleRange(range);
+};
+
+window.getVisualizationBranchColors = () => {
+    return Visualization.getBranchColors();
+};
+
+window.getVisualizationLaneOrder = () => {
+    return Visualization.getLaneOrder();
+};
+
+window.setVisualizationComparison = (value) => {
+    Visualization.setComparison(value);
+};
+
+window.setVisualizationSearchMatches = (shas) => {
+    Visualization.setSearchMatches(shas);
+};
+
+window.relayoutVisualization = () => {
+    Visualization.relayout();
+};
+
+window.applyVisualizationTheme = () => {
+    Visualization.applyTheme();
+};
+
+window.getVisualizationCanvasThreshold = () => {
+    return Visualization.getCanvasThreshold();
+};
+
+window.setVisualizationCanvasThreshold = (count) => {
+    Visualization.setCanvasThreshold(count);
+};
+
+window.setVisualizationReplayWindow = (range) => {
+    Visualization.setReplayWindow(range);
+};